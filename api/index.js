@@ -1,4 +1,5 @@
 import { Router } from "express";
+import middlewares from "./middlewares/index.js";
 import users from "./routes/users.js";
 import roles from "./routes/roles.js";
 import stock from "./routes/stock.js";
@@ -7,17 +8,47 @@ import measurement from "./routes/measurement.js";
 import menus from "./routes/menus.js";
 import menuTypes from "./routes/menuTypes.js";
 import tables from "./routes/tables.js";
+import tableZones from "./routes/tableZones.js";
 import bookings from "./routes/bookings.js";
+import waitlist from "./routes/waitlist.js";
 import orders from "./routes/orders.js";
 import orderMenus from "./routes/orderMenus.js";
 import payment from "./routes/payment.js";
 import salesStatistics from "./routes/salesStatistics.js";
+import bookingsStatistics from "./routes/bookingsStatistics.js";
 import stockStatistics from "./routes/stockStatistics.js";
 import menusStatistics from "./routes/menusStatistics.js";
+import schedule from "./routes/schedule.js";
+import audit from "./routes/audit.js";
+
+/**
+ * Routes that can be reached without being logged in
+ * @type {Array<PublicRoute>}
+ */
+const publicRoutes = [
+	{ method: "POST", path: "/users" },
+	{ method: "POST", path: "/users/login" },
+	{ method: "POST", path: "/users/login/token" },
+	{ method: "POST", path: "/users/password/forgot" },
+	{ method: "POST", path: "/users/password/reset" },
+	{ method: "POST", path: "/users/verify" },
+	{ method: "POST", path: "/users/staff/invitations/accept" },
+	{ method: "GET", path: "/bookings/feed/:code" },
+	{ method: "GET", path: "/menus/all" },
+	{ method: "GET", path: "/menus/names/all" },
+	{ method: "GET", path: "/menus/types/all" },
+	{ method: "GET", path: "/menus/:menu_id", params: { menu_id: /^\d+$/ } },
+	{ method: "GET", path: "/schedule/services/all" },
+	{ method: "GET", path: "/schedule/closures/all" },
+	{ method: "GET", path: "/schedule/day/:date" }
+];
 
 export default () => {
 	const router = Router();
 
+	// Every route below needs a valid token, except the public ones
+	router.use(middlewares.authenticate(...publicRoutes));
+
 	users(router);
 	roles(router);
 	stock(router);
@@ -26,13 +57,18 @@ export default () => {
 	menus(router);
 	menuTypes(router);
 	tables(router);
+	tableZones(router);
 	bookings(router);
+	waitlist(router);
 	orders(router);
 	orderMenus(router);
 	payment(router);
 	salesStatistics(router);
+	bookingsStatistics(router);
 	stockStatistics(router);
 	menusStatistics(router);
+	schedule(router);
+	audit(router);
 
 	return router;
 };
\ No newline at end of file
@@ -0,0 +1,91 @@
+/** @module jobs */
+import config from "../config/config.js";
+import { pool } from "./middlewares/database.js";
+import Booking from "./models/Booking.js";
+import Waitlist from "./models/Waitlist.js";
+import Events from "../global/Events.js";
+import ModelError from "../global/ModelError.js";
+
+/**
+ * A background task
+ * @typedef {Object} Job
+ * @property {string} name - Name of the task, shown in the logs
+ * @property {Number} [interval] - How many minutes between two runs
+ * @property {string} [event] - Event which triggers a run
+ * @property {function(Promise<void>): Promise<*>} run - Model function doing the task
+ */
+
+/**
+ * @description Tasks which are run periodically while the server is up, and each time their event is emitted so
+ * that requests don't wait for them
+ * @type {Array<Job>}
+ * @see {@link module:Events}
+ */
+const jobs = [
+	{ name: "no-shows", interval: config.app.jobs.noShowsInterval, run: Booking.markNoShows },
+	{ name: "reminders", interval: config.app.jobs.remindersInterval, run: Booking.sendReminders },
+	{ name: "waitlist", interval: config.app.jobs.waitlistInterval, event: "slot.freed", run: Waitlist.offerFreedSlot }
+];
+
+/**
+ * @ignore
+ * @description Tasks which are running, and whether they were asked to run again meanwhile
+ * @type {Map<Job, Boolean>}
+ */
+const runningJobs = new Map();
+
+/**
+ * @ignore
+ * @async
+ * @function runJob
+ * @description Run a task with its own database connection. An error, thrown or returned, is only reported through
+ * the "failure" event so the next runs still happen.
+ * A task never runs twice at the same time: asked while running, it runs once more when done.
+ *
+ * @param {Job} job - The task
+ * @returns {Promise<void>}
+ *
+ * @example
+ * 	runJob(<Job>)
+ */
+const runJob = async job => {
+	if (runningJobs.has(job)) {
+		runningJobs.set(job, true);
+		return;
+	}
+
+	runningJobs.set(job, false);
+	let db;
+
+	try {
+		db = await pool.getConnection();
+		const result = await job.run(db);
+		if (result instanceof ModelError) Events.emit("failure", `Job "${job.name}"`, result.message());
+	} catch (err) {
+		Events.emit("failure", `Job "${job.name}"`, err);
+	} finally {
+		if (db) db.release();
+	}
+
+	const runAgain = runningJobs.get(job);
+	runningJobs.delete(job);
+
+	if (runAgain) await runJob(job);
+};
+
+/**
+ * @function startJobs
+ * @description Run every task periodically, and on its event if it has one
+ *
+ * @returns {Array<Timeout>} The timers of the tasks
+ *
+ * @example
+ * 	startJobs()
+ */
+export default function startJobs() {
+	for (const job of jobs.filter(job => job.event)) {
+		Events.on(job.event, () => runJob(job));
+	}
+
+	return jobs.map(job => setInterval(() => runJob(job), job.interval * 60000));
+}
\ No newline at end of file
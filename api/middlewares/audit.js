@@ -0,0 +1,157 @@
+/** @module middlewares */
+import { pool } from "./database.js";
+import AuditLog from "../models/AuditLog.js";
+import Events from "../../global/Events.js";
+import ModelError from "../../global/ModelError.js";
+import Checkers from "../../global/Checkers.js";
+
+/**
+ * @ignore
+ * @description Default action of each HTTP method
+ * @type {Object<string, string>}
+ */
+const actions = {
+	POST: "create",
+	PUT: "update",
+	DELETE: "delete"
+};
+
+/**
+ * @ignore
+ * @description Fields which must never be written in the audit log
+ * @type {Array<string>}
+ */
+const hiddenFields = ["password", "password1", "password2", "code", "token"];
+
+/**
+ * @ignore
+ * @function hideFields
+ * @description Copy an object without its sensitive fields
+ *
+ * @param {Object} [data] - The object to copy
+ * @returns {Object|null} The copy or null
+ *
+ * @example
+ * 	hideFields({ email: "daft.punk@elect.ro", password: "..." }) // return { email: "daft.punk@elect.ro" }
+ */
+const hideFields = data => {
+	if (!data) return null;
+
+	return Object.fromEntries(Object.entries(data).filter(([key]) => !hiddenFields.includes(key)));
+};
+
+/**
+ * @ignore
+ * @function findEntityId
+ * @description Search the entity ID in the route parameters, the body and the query of the request, then in its
+ * JSON response
+ *
+ * @param {Request} request - Express Request
+ * @param {string} [idField] - Name of the parameter holding the entity ID
+ * @param {Object} [responseBody] - JSON response
+ * @returns {*} The entity ID or null
+ *
+ * @example
+ * 	findEntityId(request, "booking_id")
+ */
+const findEntityId = (request, idField, responseBody) => {
+	if (!idField) return null;
+
+	const sources = [request.params, request.body, request.query, responseBody].filter(source => source);
+	const source = sources.find(source => Checkers.isDefined(source[idField]));
+
+	return source ? source[idField] : null;
+};
+
+/**
+ * @ignore
+ * @async
+ * @function getSnapshot
+ * @description Get an entity using its getter. A missing entity gives null.
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {function(Promise<void>, *): Promise<Object|ModelError>} [getter] - Model function returning the entity
+ * @param {*} [entity_id] - ID of the entity
+ * @returns {Promise<Object|null>} The entity or null
+ *
+ * @example
+ * 	getSnapshot(db, Booking.getById, 12)
+ */
+const getSnapshot = async (db, getter, entity_id) => {
+	if (!getter || !Checkers.isDefined(entity_id)) return null;
+
+	const entity = await getter(db, entity_id);
+	return entity instanceof ModelError ? null : hideFields(entity);
+};
+
+/**
+ * @function audit
+ * @description Record the request in the audit log once it has succeeded (2xx): who made it, what was done and a
+ * snapshot of the entity before and after the change. The entity ID is searched in the request, then in the JSON
+ * response for a creation. When the entity can't be fetched back, the request fields are recorded instead. Must be
+ * used after the authorize middleware. A record which can't be written is reported through the "failure" event.
+ * @see {@link module:models/AuditLog}
+ *
+ * @param {string} entity - Type of the changed entity
+ * @param {string} [idField] - Name of the parameter holding the entity ID
+ * @param {function(Promise<void>, *): Promise<Object|ModelError>} [getter] - Model function returning the entity
+ * @param {string} [action] - What is done, deduced from the HTTP method by default
+ * @returns {function(Request, Response, function): Promise<*>}
+ *
+ * @example
+ * 	route.delete("/", middlewares.authorize("bookings.delete"), middlewares.audit("booking", "booking_id", Booking.getById), (request, response) => {
+ *		...
+ *	});
+ */
+export default function audit(entity, idField, getter, action) {
+	return async (request, response, next) => {
+		const route = `${request.method} ${request.originalUrl.split("?")[0]}`;
+		const user_id = request.user ? request.user.user_id : null;
+		let entity_id = findEntityId(request, idField);
+		let before = null;
+		let responseBody = null;
+		let db;
+
+		try {
+			db = await pool.getConnection();
+			before = await getSnapshot(db, getter, entity_id);
+		} catch (err) {
+			return response.status(500).json(new ModelError(500, err.message).json()).end();
+		} finally {
+			if (db) db.release();
+		}
+
+		// Keep the JSON response, a creation may send back the new ID
+		const json = response.json.bind(response);
+		response.json = body => {
+			responseBody = body;
+			return json(body);
+		};
+
+		response.on("finish", async () => {
+			if (response.statusCode < 200 || response.statusCode >= 300) return;
+
+			// The body of a multipart request is only parsed by the route itself
+			if (!Checkers.isDefined(entity_id)) entity_id = findEntityId(request, idField, responseBody);
+
+			let db;
+
+			try {
+				db = await pool.getConnection();
+
+				const currentAction = action || actions[request.method.toUpperCase()] || request.method.toLowerCase();
+				const after = currentAction === "delete"
+					? null
+					: await getSnapshot(db, getter, entity_id) || hideFields(request.body);
+
+				await AuditLog.add(db, user_id, currentAction, entity, entity_id, route, request.ip, before, after);
+			} catch (err) {
+				Events.emit("failure", `Audit of "${route}"`, err);
+			} finally {
+				if (db) db.release();
+			}
+		});
+
+		return next();
+	};
+}
\ No newline at end of file
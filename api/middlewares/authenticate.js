@@ -0,0 +1,111 @@
+/** @module middlewares */
+import { pool } from "./database.js";
+import Token from "../models/Token.js";
+import User from "../models/User.js";
+import ModelError from "../../global/ModelError.js";
+
+/**
+ * A public route
+ * @typedef {Object} PublicRoute
+ * @property {string} method - HTTP method (GET, POST, ...)
+ * @property {string} path - Path of the route, relative to the API prefix. Segments starting with ":" match any value.
+ * @property {Object<string, RegExp>} [params] - Patterns restricting the values matched by some of these segments
+ */
+
+/**
+ * @ignore
+ * @function isRouteMatching
+ * @description Check if a request targets a public route
+ *
+ * @param {PublicRoute} publicRoute - The public route
+ * @param {Request} request - Express Request
+ * @returns {Boolean}
+ *
+ * @example
+ * 	isRouteMatching({ method: "GET", path: "/menus/:menu_id", params: { menu_id: /^\d+$/ } }, request)
+ */
+const isRouteMatching = (publicRoute, request) => {
+	if (publicRoute.method.toUpperCase() !== request.method.toUpperCase()) return false;
+
+	const trim = path => path.split("/").filter(segment => segment.length > 0);
+	const routeSegments = trim(publicRoute.path);
+	const requestSegments = trim(request.path);
+
+	if (routeSegments.length !== requestSegments.length) return false;
+
+	return routeSegments.every((segment, index) => {
+		if (!segment.startsWith(":")) return segment === requestSegments[index];
+
+		const pattern = publicRoute.params && publicRoute.params[segment.slice(1)];
+		return !pattern || pattern.test(requestSegments[index]);
+	});
+};
+
+/**
+ * @ignore
+ * @function getBearerToken
+ * @description Extract the token from the "Authorization: Bearer <token>" header
+ *
+ * @param {Request} request - Express Request
+ * @returns {string|null} The token or null
+ *
+ * @example
+ * 	getBearerToken(request)
+ */
+const getBearerToken = request => {
+	const header = request.get("Authorization");
+	if (!header) return null;
+
+	const [scheme, token] = header.trim().split(/\s+/);
+	return scheme && scheme.toLowerCase() === "bearer" && token ? token : null;
+};
+
+/**
+ * @function authenticate
+ * @description Resolve the bearer token of the request into a user placed in request.user. The request is rejected
+ * with a 401 if the token is missing, unknown or expired, unless it targets one of the public routes. Each use of a
+ * token pushes back its expiration date.
+ *
+ * @param {...PublicRoute} publicRoutes - Routes that can be reached without a token
+ * @returns {function(Request, Response, function): Promise<*>}
+ *
+ * @example
+ * 	router.use(middlewares.authenticate({ method: "POST", path: "/users/login" }));
+ */
+export default function authenticate(...publicRoutes) {
+	return async (request, response, next) => {
+		if (publicRoutes.some(publicRoute => isRouteMatching(publicRoute, request))) {
+			return next();
+		}
+
+		const unauthorized = message => {
+			return response.status(401).json(new ModelError(401, message).json()).end();
+		};
+
+		const token = getBearerToken(request);
+		if (!token) return unauthorized("Vous devez être connecté pour accéder à cette ressource.");
+
+		let db;
+
+		try {
+			db = await pool.getConnection();
+
+			const user_id = await Token.getUserId(db, token);
+			if (user_id instanceof ModelError) return unauthorized("Votre session est invalide, veuillez vous reconnecter.");
+
+			const user = await User.getById(db, user_id);
+			if (user instanceof ModelError) return unauthorized("Votre session est invalide, veuillez vous reconnecter.");
+
+			await Token.renew(db, token, request.ip);
+
+			request.user = user;
+			request.token = token;
+		} catch (err) {
+			return response.status(500).json(new ModelError(500, err.message).json()).end();
+		} finally {
+			if (db) db.release();
+		}
+
+		return next();
+	};
+}
\ No newline at end of file
@@ -0,0 +1,141 @@
+/** @module middlewares */
+import { pool } from "./database.js";
+import permissions, { passwordChangePermissions } from "../permissions.js";
+import Role from "../models/Role.js";
+import Booking from "../models/Booking.js";
+import Order from "../models/Order.js";
+import Waitlist from "../models/Waitlist.js";
+import ModelError from "../../global/ModelError.js";
+import Checkers from "../../global/Checkers.js";
+
+/**
+ * @ignore
+ * @description Roles which have access to every customer resources
+ * @type {Array<string>}
+ */
+const staffRoles = ["waiter", "cook"];
+
+/**
+ * @ignore
+ * @description How to find the owner of a resource using its ID. Each getter resolves to undefined when the resource
+ * doesn't exist and to null when it exists without an owner, such as a walk-in booking.
+ * @type {Object<string, function(Promise<void>, *): Promise<Number|null|undefined>>}
+ */
+const ownerGetters = {
+	booking_id: Booking.getOwnerId,
+	order_id: Order.getOwnerId,
+	waitlist_id: Waitlist.getOwnerId
+};
+
+/**
+ * @ignore
+ * @async
+ * @function getForbiddenFields
+ * @description Check every identifier sent in the request (route parameters, query and body) and return those
+ * which target a resource that the user doesn't own. A resource without an owner belongs to the staff only, while a
+ * missing resource is left to the route, which answers with a 404.
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Request} request - Express Request
+ * @returns {Promise<Array<string>>} The names of the forbidden fields
+ *
+ * @example
+ * 	getForbiddenFields(db, request)
+ */
+const getForbiddenFields = async (db, request) => {
+	const { user } = request;
+	const sources = [request.params, request.query, request.body].filter(source => source);
+	const forbidden = new Set();
+
+	for (const source of sources) {
+		if (Checkers.isDefined(source.user_id) && `${source.user_id}` !== `${user.user_id}`) {
+			forbidden.add("user_id");
+		}
+
+		if (Checkers.isString(source.email) && source === request.params && source.email.toLowerCase() !== user.email) {
+			forbidden.add("email");
+		}
+
+		for (const [field, getOwnerId] of Object.entries(ownerGetters)) {
+			if (!Checkers.isDefined(source[field])) continue;
+
+			const owner_id = await getOwnerId(db, source[field]);
+			if (owner_id !== undefined && owner_id !== user.user_id) forbidden.add(field);
+		}
+	}
+
+	return [...forbidden];
+};
+
+/**
+ * @function authorize
+ * @description Check if the logged in user (request.user) holds at least one of the given permissions. The request
+ * is rejected with a 403 otherwise. Must be used after the authenticate middleware. Users who must change their
+ * password are rejected until they do so.
+ *
+ * Customers are also restricted to their own resources: every user_id, booking_id, order_id and waitlist_id found in
+ * the request must belong to them. Staff members can reach every resource.
+ * @see {@link module:permissions}
+ *
+ * @param {...string} permissionNames - Names of the accepted permissions
+ * @returns {function(Request, Response, function): Promise<*>}
+ *
+ * @example
+ * 	route.delete("/", middlewares.authorize("tables.delete"), (request, response) => {
+ *		...
+ *	});
+ */
+export default function authorize(...permissionNames) {
+	return async (request, response, next) => {
+		if (!request.user) {
+			return response.status(401).json(
+				new ModelError(401, "Vous devez être connecté pour accéder à cette ressource.").json()
+			).end();
+		}
+
+		if (request.user.must_change_password && !permissionNames.some(name => passwordChangePermissions.includes(name))) {
+			return response.status(403).json(
+				new ModelError(403, "Vous devez changer votre mot de passe avant de continuer.", ["password"]).json()
+			).end();
+		}
+
+		let db;
+
+		try {
+			db = await pool.getConnection();
+
+			// Check the permissions
+			let isAllowed = false;
+
+			for (const name of permissionNames) {
+				if (await Role.isAllowed(db, request.user.role, permissions[name] || [])) {
+					isAllowed = true;
+					break;
+				}
+			}
+
+			if (!isAllowed) {
+				return response.status(403).json(
+					new ModelError(403, `Permission manquante: ${permissionNames.join(", ")}`, permissionNames).json()
+				).end();
+			}
+
+			// Check the ownership
+			if (!await Role.isAllowed(db, request.user.role, staffRoles)) {
+				const forbiddenFields = await getForbiddenFields(db, request);
+
+				if (forbiddenFields.length > 0) {
+					return response.status(403).json(
+						new ModelError(403, "Vous ne pouvez accéder qu'à vos propres ressources.", forbiddenFields).json()
+					).end();
+				}
+			}
+		} catch (err) {
+			return response.status(500).json(new ModelError(500, err.message).json()).end();
+		} finally {
+			if (db) db.release();
+		}
+
+		return next();
+	};
+}
\ No newline at end of file
@@ -36,4 +36,5 @@ const database = async (request, response, next) => {
 	next();
 };
 
+export { pool };
 export default database;
\ No newline at end of file
@@ -1,6 +1,9 @@
 /** @module middlewares */
+import audit from "./audit.js";
+import authenticate from "./authenticate.js";
+import authorize from "./authorize.js";
 import checkParams from "./checkParams.js";
 import database from "./database.js";
 import toLowercase from "./toLowercase.js";
 
-export default { checkParams, database, toLowercase };
\ No newline at end of file
+export default { audit, authenticate, authorize, checkParams, database, toLowercase };
\ No newline at end of file
@@ -0,0 +1,175 @@
+/**
+ * @module models/AuditLog
+ * @description An AuditLog records who changed what through the API, with a snapshot of the entity before and after
+ * the change.
+ * @see {@link module:middlewares}
+ */
+import ModelError from "../../global/ModelError.js";
+import Checkers from "../../global/Checkers.js";
+import Converters from "../../global/Converters.js";
+
+/**
+ * An audit log entry
+ * @typedef {Object} AuditLog
+ * @property {Number} audit_id - ID of the entry
+ * @property {Number} [user_id] - ID of the user who made the change, null for anonymous requests
+ * @property {string} [email] - Email address of the user who made the change
+ * @property {string} action - What was done (create, update, delete, ...)
+ * @property {string} entity - Type of the changed entity (booking, stock, ...)
+ * @property {string} [entity_id] - ID of the changed entity, null when it is unknown
+ * @property {string} route - HTTP method and URL of the request
+ * @property {string} [ip] - IP address of the device which made the request
+ * @property {Object} [before] - The entity before the change, null for a creation
+ * @property {Object} [after] - The entity after the change, null for a deletion
+ * @property {Date|string} created_at - When the change was made
+ */
+
+/*****************************************************
+ * CRUD Methods
+ *****************************************************/
+
+/* ---- CREATE ---------------------------------- */
+/**
+ * @async
+ * @function add
+ * @description Add an audit log entry
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} [user_id] - ID of the user who made the change
+ * @param {string} action - What was done
+ * @param {string} entity - Type of the changed entity
+ * @param {Number|string} [entity_id] - ID of the changed entity
+ * @param {string} route - HTTP method and URL of the request
+ * @param {string} [ip] - IP address of the device which made the request
+ * @param {Object} [before] - The entity before the change
+ * @param {Object} [after] - The entity after the change
+ * @returns {Promise<void>}
+ *
+ * @example
+ * 	AuditLog.add(db, 1, "delete", "booking", 12, "DELETE /api/bookings", "::1", <Booking>, null)
+ */
+const add = async (db, user_id, action, entity, entity_id, route, ip, before, after) => {
+	const values = [
+		user_id ? user_id : null,
+		action,
+		entity,
+		Checkers.isDefined(entity_id) ? `${entity_id}` : null,
+		route,
+		ip ? ip : null,
+		before ? JSON.stringify(before) : null,
+		after ? JSON.stringify(after) : null
+	];
+
+	return db.query(`
+		INSERT INTO audit_logs(user_id, action, entity, entity_id, route, ip, before_data, after_data)
+		VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+	`, values);
+};
+
+/* ---- READ ------------------------------------ */
+/**
+ * @async
+ * @function getAll
+ * @description Get the audit log entries, most recent first. Every filter is optional.
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} [user_id] - Only the changes made by this user
+ * @param {string} [entity] - Only the changes of this type of entity
+ * @param {Number|string} [entity_id] - Only the changes of this entity
+ * @param {Date|string} [from] - Only the changes made since this date
+ * @param {Date|string} [to] - Only the changes made until this date
+ * @returns {Promise<Array<AuditLog>|ModelError>} A list of audit log entries or a ModelError
+ *
+ * @example
+ * 	AuditLog.getAll(db, 1, "booking", null, "2021-06-01", "2021-06-30 23:59:59")
+ */
+const getAll = async (db, user_id, entity, entity_id, from, to) => {
+	const conditions = [];
+	const values = [];
+
+	if (Checkers.isDefined(from) && !Checkers.isDate(Converters.toDate(from))) {
+		return new ModelError(400, "Vous devez fournir une date de début valide.", ["from"]);
+	}
+
+	if (Checkers.isDefined(to) && !Checkers.isDate(Converters.toDate(to))) {
+		return new ModelError(400, "Vous devez fournir une date de fin valide.", ["to"]);
+	}
+
+	if (!Checkers.isDateLowerThan(from, to, true, true)) {
+		return new ModelError(400, "La date de début doit précéder la date de fin.", ["from", "to"]);
+	}
+
+	if (Checkers.isDefined(user_id)) {
+		conditions.push("audit_logs.user_id = ?");
+		values.push(user_id);
+	}
+
+	if (Checkers.isDefined(entity)) {
+		conditions.push("audit_logs.entity = ?");
+		values.push(entity);
+	}
+
+	if (Checkers.isDefined(entity_id)) {
+		conditions.push("audit_logs.entity_id = ?");
+		values.push(`${entity_id}`);
+	}
+
+	if (Checkers.isDefined(from)) {
+		conditions.push("audit_logs.created_at >= ?");
+		values.push(Converters.toDate(from));
+	}
+
+	if (Checkers.isDefined(to)) {
+		conditions.push("audit_logs.created_at <= ?");
+		values.push(Converters.toDate(to));
+	}
+
+	const logs = await db.query(`
+		SELECT
+			audit_logs.audit_id,
+			audit_logs.user_id,
+			users.email,
+			audit_logs.action,
+			audit_logs.entity,
+			audit_logs.entity_id,
+			audit_logs.route,
+			audit_logs.ip,
+			audit_logs.before_data,
+			audit_logs.after_data,
+			audit_logs.created_at
+		FROM audit_logs
+		LEFT JOIN users ON audit_logs.user_id = users.user_id
+		${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+		ORDER BY audit_logs.created_at DESC, audit_logs.audit_id DESC
+	`, values);
+
+	return logs.map(buildAuditLog);
+};
+
+/**
+ * @ignore
+ * @function buildAuditLog
+ * @description Parse the snapshots of an audit log entry
+ *
+ * @param {Object} log - An audit log entry as stored in the database
+ * @returns {AuditLog} The audit log entry
+ *
+ * @example
+ * 	buildAuditLog(<Object>)
+ */
+const buildAuditLog = log => {
+	const { before_data, after_data, ...fields } = log;
+
+	return {
+		...fields,
+		before: before_data ? JSON.parse(before_data) : null,
+		after: after_data ? JSON.parse(after_data) : null
+	};
+};
+
+/*****************************************************
+ * Export
+ *****************************************************/
+
+const AuditLog = { add, getAll };
+export default AuditLog;
\ No newline at end of file
@@ -1,38 +1,86 @@
 /** @module models/Booking */
+import config from "../../config/config.js";
 import Table from "./Table.js";
+import Schedule from "./Schedule.js";
 import User from "./User.js";
+import Role from "./Role.js";
+import UserCode from "./UserCode.js";
+import StatusChange from "./StatusChange.js";
+import Events from "../../global/Events.js";
+import Mail from "../../global/Mail.js";
 import ModelError from "../../global/ModelError.js";
 import Checkers from "../../global/Checkers.js";
-import { getFieldsToUpdate } from "../../global/Functions.js";
+import Converters from "../../global/Converters.js";
+import { afterCommit, getFieldsToUpdate, transaction } from "../../global/Functions.js";
 
 /**
  * A booking
  * @typedef {Object} Booking
  * @property {Number} booking_id - ID of the booking
- * @property {Number} user_id - ID of the user who made the booking
- * @property {Number} table_id - ID of the table reserved for this booking
+ * @property {Number} [user_id] - ID of the user who made the booking, null for a walk-in
+ * @property {Number} table_id - ID of the main table reserved for this booking
  * @property {string|Date} time - When the booking is scheduled
  * @property {Number} clients_nb - How many clients will be present
  * @property {Boolean|Number} is_client_on_place - Is the client on place or not
  * @property {Boolean|Number} can_client_pay - Is the client able to access payment page or not
  * @property {Boolean|Number} is_finished - Is the booking ended or not
  * @property {Boolean|Number} is_paid - Is the booking paid
+ * @property {Boolean|Number} is_cancelled - Has the booking been cancelled
+ * @property {string|Date} [cancelled_at] - When the booking was cancelled
+ * @property {string} [cancellation_reason] - Why the booking was cancelled
+ * @property {Boolean|Number} is_no_show - Did the clients never come
+ * @property {Boolean|Number} is_walk_in - Did the clients come without a booking
+ * @property {string} status - Step of the service: reserved, seated, ordering, waiting_bill or paid, unless it was
+ * cancelled or its clients never came (cancelled, no_show)
+ * @property {string|Date} status_changed_at - When the booking reached its current step
  */
 
 /**
  * A full booking
  * @typedef {Object} FullBooking
  * @property {Number} booking_id - ID of the booking
- * @property {User} user - User who made the booking
- * @property {Table} table - The table reserved for this booking
+ * @property {User} [user] - User who made the booking, null for a walk-in
+ * @property {Table} table - The main table reserved for this booking
+ * @property {Array<Table>} tables - Every table reserved for this booking, the main one first
  * @property {string|Date} time - When the booking is scheduled
  * @property {Number} clients_nb - How many clients will be present
  * @property {Boolean|Number} is_client_on_place - Is the client on place or not
  * @property {Boolean|Number} can_client_pay - Is the client able to access payment page or not
  * @property {Boolean|Number} is_finished - Is the booking ended or not
  * @property {Boolean|Number} is_paid - Is the booking paid
+ * @property {Boolean|Number} is_cancelled - Has the booking been cancelled
+ * @property {string|Date} [cancelled_at] - When the booking was cancelled
+ * @property {string} [cancellation_reason] - Why the booking was cancelled
+ * @property {Boolean|Number} is_no_show - Did the clients never come
+ * @property {Boolean|Number} is_walk_in - Did the clients come without a booking
+ * @property {string} status - Step of the service: reserved, seated, ordering, waiting_bill or paid, unless it was
+ * cancelled or its clients never came (cancelled, no_show)
+ * @property {string|Date} status_changed_at - When the booking reached its current step
  */
 
+/**
+ * A bookable time slot
+ * @typedef {Object} Slot
+ * @property {Date} time - When the sitting starts
+ * @property {Number} tables_nb - How many tables the party would be seated at
+ */
+
+/**
+ * @ignore
+ * @description Statuses a booking can be moved to, from each status. The tables of the booking follow its status. A
+ * booking is only cancelled or marked as a no-show by cancel and markNoShows.
+ * @type {Object<string, Array<string>>}
+ */
+const transitions = {
+	reserved: ["seated"],
+	seated: ["ordering", "waiting_bill"],
+	ordering: ["waiting_bill"],
+	waiting_bill: ["ordering", "paid"],
+	paid: [],
+	cancelled: [],
+	no_show: []
+};
+
 /*****************************************************
  * CRUD Methods
  *****************************************************/
@@ -41,7 +89,12 @@ import { getFieldsToUpdate } from "../../global/Functions.js";
 /**
  * @async
  * @function add
- * @description Add a booking
+ * @description Add a booking. The whole sitting must take place during a service of the restaurant and the smallest
+ * table free for the whole sitting is reserved. A large party is seated at the best group of joinable tables instead.
+ * The tables are chosen and written with the booking in a single transaction, during which the tables are locked so
+ * that parallel bookings can't get the same one. Once it is committed, "booking.created" is emitted.
+ * @see {@link module:models/Table}
+ * @see {@link module:models/Schedule}
  *
  * @param {Promise<void>} db - Database connection
  * @param {string|Number} user_id - ID of the user who made the booking
@@ -63,18 +116,124 @@ const add = async (db, user_id, time, clients_nb) => {
 		return new ModelError(400, "Vous devez fournir un nombre valide de personnes.", ["clients_nb"]);
 	}
 
-	const availableTable = await Table.getByTableCapacity(db, clients_nb);
+	if (!await Schedule.getService(db, bookingTime, config.app.bookings.sittingDuration)) {
+		return new ModelError(400, "Le restaurant n'est pas ouvert pendant toute la durée du repas à cette date.", ["time"]);
+	}
 
-	if (availableTable instanceof ModelError) {
-		return new ModelError(400, "Aucune table n'est disponible à cette date.", ["time"]);
-	} else {
-		await Table.update(db, availableTable.table_id, null, null ,false);
+	const user = await User.getById(db, user_id);
+	if (user instanceof ModelError) return user;
 
-		return db.query(`
+	if (!user.is_verified) {
+		return new ModelError(403, "L'adresse e-mail doit être vérifiée avant de pouvoir réserver.", ["user_id"]);
+	}
+
+	if (user.is_booking_blocked) {
+		return new ModelError(403, "Vous ne pouvez plus réserver suite à des absences répétées.", ["user_id"]);
+	}
+
+	return transaction(db, async () => {
+		await Table.lockUsable(db);
+		const availableTables = await Table.getForBooking(db, clients_nb, bookingTime);
+
+		if (availableTables instanceof ModelError) {
+			return new ModelError(400, "Aucune table n'est disponible à cette date.", ["time"]);
+		}
+
+		const booking = await db.query(`
 			INSERT INTO bookings(user_id, table_id, time, clients_nb)
 			VALUES (?, ?, ?, ?)
-		`, [user_id, availableTable.table_id, time, clients_nb]
+		`, [user_id, availableTables[0].table_id, time, clients_nb]
 		);
+
+		await setTables(db, booking.insertId, availableTables.map(table => table.table_id));
+
+		const created = await getById(db, booking.insertId);
+		afterCommit(db, () => Events.emit("booking.created", created));
+
+		return booking;
+	});
+};
+
+/**
+ * @async
+ * @function addWalkIn
+ * @description Seat clients who come without a booking at a free table. An anonymous booking marked as a walk-in is
+ * created for them and seated right away, in a single transaction, so that they can order like any other booking.
+ * The table must not be reserved for a sitting overlapping theirs: it is checked once the tables are locked.
+ * @see setStatus
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} table_id - ID of the table
+ * @param {Number} clients_nb - How many clients are present
+ * @param {Number|string} [user_id] - ID of the staff member who seats the clients
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	Booking.addWalkIn(db, 4, 2, 3)
+ */
+const addWalkIn = async (db, table_id, clients_nb, user_id) => {
+	const now = new Date();
+
+	if (!Checkers.isGreaterThan(clients_nb, 0)) {
+		return new ModelError(400, "Vous devez fournir un nombre valide de personnes.", ["clients_nb"]);
+	}
+
+	if (!await Schedule.getService(db, now)) {
+		return new ModelError(400, "Le restaurant n'est pas ouvert en ce moment.");
+	}
+
+	return transaction(db, async () => {
+		await Table.lockUsable(db);
+
+		const table = await Table.getById(db, table_id);
+		if (table instanceof ModelError) return table;
+
+		if (!table.can_be_used) {
+			return new ModelError(409, "Cette table ne peut pas être utilisée.", ["table_id"]);
+		}
+
+		if (table.capacity < clients_nb) {
+			return new ModelError(400, `Cette table ne peut accueillir que ${table.capacity} personnes.`, ["table_id"]);
+		}
+
+		if (table.status !== "free" || !await Table.isFreeAt(db, table.table_id, now)) {
+			return new ModelError(409, "Cette table n'est pas libre pour un repas qui commence maintenant.", ["table_id"]);
+		}
+
+		const result = await db.query(`
+			INSERT INTO bookings(user_id, table_id, time, clients_nb, is_walk_in)
+			VALUES (NULL, ?, ?, ?, 1)
+		`, [table.table_id, now, clients_nb]
+		);
+
+		await setTables(db, result.insertId, [table.table_id]);
+
+		const seating = await setStatus(db, result.insertId, "seated", user_id);
+		if (seating instanceof ModelError) return seating;
+
+		return result;
+	});
+};
+
+/**
+ * @ignore
+ * @async
+ * @function setTables
+ * @description Replace the tables reserved for a booking
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} booking_id - ID of the booking
+ * @param {Array<Number|string>} table_ids - IDs of the tables, the main one first
+ * @returns {Promise<void>}
+ *
+ * @example
+ * 	setTables(db, 4, [7, 8])
+ */
+const setTables = async (db, booking_id, table_ids) => {
+	await db.query("DELETE FROM booking_tables WHERE booking_id = ?", [booking_id]);
+
+	for (const table_id of table_ids) {
+		await db.query("INSERT INTO booking_tables(booking_id, table_id) VALUES (?, ?)", [booking_id, table_id]);
 	}
 };
 
@@ -102,7 +261,14 @@ const getById = async (db, booking_id) => {
 			is_client_on_place,
 			can_client_pay,
 		  is_finished,
-		  is_paid
+		  is_paid,
+			is_cancelled,
+			cancelled_at,
+			cancellation_reason,
+			is_no_show,
+			is_walk_in,
+			status,
+			status_changed_at
 		FROM bookings
 		WHERE booking_id = ?
 	`, [booking_id]);
@@ -135,7 +301,14 @@ const getByUserId = async (db, user_id) => {
 			is_client_on_place,
 			can_client_pay,
 		  is_finished,
-		  is_paid
+		  is_paid,
+			is_cancelled,
+			cancelled_at,
+			cancellation_reason,
+			is_no_show,
+			is_walk_in,
+			status,
+			status_changed_at
 		FROM bookings
 		WHERE user_id = ?
 	`, [user_id]);
@@ -168,7 +341,14 @@ const getActiveByUserId = async (db, user_id) => {
 			is_client_on_place,
 			can_client_pay,
 			is_finished,
-			is_paid
+			is_paid,
+			is_cancelled,
+			cancelled_at,
+			cancellation_reason,
+			is_no_show,
+			is_walk_in,
+			status,
+			status_changed_at
 		FROM bookings
 		WHERE user_id = ? AND is_client_on_place = 1 AND is_finished = 0
 	`, [user_id]);
@@ -200,7 +380,14 @@ const getAll = async db => {
 			is_client_on_place,
 			can_client_pay,
 		  is_finished,
-		  is_paid
+		  is_paid,
+			is_cancelled,
+			cancelled_at,
+			cancellation_reason,
+			is_no_show,
+			is_walk_in,
+			status,
+			status_changed_at
 		FROM bookings
 		ORDER BY booking_id
 	`);
@@ -230,7 +417,14 @@ const getAllActive = async db => {
 			is_client_on_place,
 			can_client_pay,
 		  is_finished,
-		  is_paid
+		  is_paid,
+			is_cancelled,
+			cancelled_at,
+			cancellation_reason,
+			is_no_show,
+			is_walk_in,
+			status,
+			status_changed_at
 		FROM bookings
 		WHERE is_paid = 0
 		AND is_client_on_place = 1
@@ -261,7 +455,14 @@ const getAllToday = async db => {
 		is_client_on_place,
 		can_client_pay,
 		is_finished,
-		is_paid
+		is_paid,
+		is_cancelled,
+		cancelled_at,
+		cancellation_reason,
+		is_no_show,
+		is_walk_in,
+		status,
+		status_changed_at
     FROM bookings
     WHERE
     	time >= timestamp(CURRENT_DATE)
@@ -272,6 +473,261 @@ const getAllToday = async db => {
 	return buildBookings(db, bookings);
 };
 
+/**
+ * @async
+ * @function getAllUpcoming
+ * @description Get the bookings which are not finished nor cancelled, from today on. Seated clients are included.
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} [user_id] - Only the bookings of this user
+ * @returns {Promise<Array<FullBooking>>} A list of bookings, the soonest first
+ *
+ * @example
+ * 	Booking.getAllUpcoming(db, 1)
+ */
+const getAllUpcoming = async (db, user_id = null) => {
+	const bookings = await db.query(`
+		SELECT
+			booking_id,
+			user_id,
+			table_id,
+			time,
+			clients_nb,
+			is_client_on_place,
+			can_client_pay,
+			is_finished,
+			is_paid,
+			is_cancelled,
+			cancelled_at,
+			cancellation_reason,
+			is_no_show,
+			is_walk_in,
+			status,
+			status_changed_at
+		FROM bookings
+		WHERE is_finished = 0
+			AND is_cancelled = 0
+			AND time >= CURDATE()
+			AND (? IS NULL OR user_id = ?)
+		ORDER BY time, booking_id
+	`, [user_id, user_id]);
+
+	return buildBookings(db, bookings);
+};
+
+/**
+ * @async
+ * @function getFeedUrl
+ * @description Get a new link to the calendar feed of a user, the previous one is revoked
+ * @see {@link module:models/UserCode}
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} user_id - ID of the user
+ * @returns {Promise<string>} The link to the feed
+ *
+ * @example
+ * 	Booking.getFeedUrl(db, 2)
+ */
+const getFeedUrl = async (db, user_id) => {
+	const code = await UserCode.getNew(db, user_id, "calendar_feed", config.app.security.calendarFeedLifetime);
+	return `${config.app.url}${config.api.prefix}/bookings/feed/${code}`;
+};
+
+/**
+ * @async
+ * @function getFeed
+ * @description Get the upcoming bookings for the calendar feed of a user. The code is checked each time, then the
+ * feed of a staff member holds every booking while the feed of a customer only holds his own bookings.
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string} code - The code of the feed
+ * @returns {Promise<Array<FullBooking>|ModelError>} A list of bookings or a ModelError
+ *
+ * @example
+ * 	Booking.getFeed(db, "UkZaV1BaWDByTjZvUlkwWWhCdUFoajBJUWowdng3VFE1WU9uM3hxZXUvVWRoVlIybTB4R2NHSXUzWnJRVm9pVA")
+ */
+const getFeed = async (db, code) => {
+	const user_id = await UserCode.check(db, code, "calendar_feed");
+	if (user_id instanceof ModelError) return user_id;
+
+	const user = await User.getById(db, user_id);
+	if (user instanceof ModelError) return user;
+
+	const isStaff = await Role.isAllowed(db, user.role, ["waiter", "cook"]);
+	return getAllUpcoming(db, isStaff ? null : user.user_id);
+};
+
+/**
+ * @async
+ * @function revokeFeed
+ * @description Revoke the calendar feed of a user
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} user_id - ID of the user
+ * @returns {Promise<void>}
+ *
+ * @example
+ * 	Booking.revokeFeed(db, 2)
+ */
+const revokeFeed = async (db, user_id) => {
+	return UserCode.revokeAll(db, user_id, "calendar_feed");
+};
+
+/**
+ * @async
+ * @function getOwnerId
+ * @description Get the ID of the user who made a booking
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string|Number} booking_id - ID of the booking
+ * @returns {Promise<Number|null|undefined>} The user ID, null for a walk-in booking or undefined if the booking doesn't exist
+ *
+ * @example
+ * 	Booking.getOwnerId(db, 4)
+ */
+const getOwnerId = async (db, booking_id) => {
+	const booking = await db.query("SELECT user_id FROM bookings WHERE booking_id = ? LIMIT 1", [booking_id]);
+	return booking[0] ? booking[0].user_id : undefined;
+};
+
+/**
+ * @async
+ * @function getAvailability
+ * @description Get the time slots of a day at which a sitting can be booked. A slot is bookable when a table big
+ * enough, or a group of joinable tables, has no booking during the whole sitting, which must end before the end of its service.
+ * @see {@link module:models/Table}
+ * @see {@link module:models/Schedule}
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string} date - The day ("YYYY-MM-DD")
+ * @param {Number|string} clients_nb - How many clients will be present
+ * @returns {Promise<Array<Slot>|ModelError>} A list of slots or a ModelError
+ *
+ * @example
+ * 	Booking.getAvailability(db, "2021-06-03", 4)
+ */
+const getAvailability = async (db, date, clients_nb) => {
+	const { sittingDuration, slotInterval } = config.app.bookings;
+	const services = await Schedule.getServicesOfDay(db, date);
+	if (services instanceof ModelError) return services;
+
+	const clientsNb = Converters.toNumber(clients_nb);
+
+	if (!Checkers.isGreaterThan(clientsNb, 0)) {
+		return new ModelError(400, "Vous devez fournir un nombre valide de personnes.", ["clients_nb"]);
+	}
+
+	if (services.length === 0) return [];
+
+	const tables = await Table.getAllUsable(db);
+	const joins = await Table.getAllJoins(db);
+	const bookings = await db.query(`
+		SELECT booking_tables.table_id, bookings.time
+		FROM booking_tables
+		INNER JOIN bookings ON booking_tables.booking_id = bookings.booking_id
+		WHERE bookings.is_finished = 0 AND bookings.time > ? - INTERVAL ? MINUTE AND bookings.time < ?
+	`, [services[0].start, sittingDuration, services[services.length - 1].end]);
+
+	const isFree = (table, time) => !bookings.some(booking => (
+		booking.table_id === table.table_id
+		&& Math.abs(new Date(booking.time) - time) < sittingDuration * 60000
+	));
+
+	const now = new Date();
+	const slots = [];
+
+	for (const service of services) {
+		for (
+			let time = service.start;
+			time.getTime() + sittingDuration * 60000 <= service.end.getTime();
+			time = new Date(time.getTime() + slotInterval * 60000)
+		) {
+			if (time < now) continue;
+
+			const freeTables = tables.filter(table => isFree(table, time));
+			const combination = Table.findCombination(freeTables, joins, clientsNb);
+			if (combination) slots.push({ time, tables_nb: combination.length });
+		}
+	}
+
+	return slots;
+};
+
+/**
+ * @async
+ * @function getWalkInWait
+ * @description Quote how long clients who come without a booking would wait for a table. Only a table whose status is
+ * free can be given right away, as addWalkIn does. The clients served at a table are expected to leave
+ * "config.app.bookings.sittingDuration" minutes after their time, and any other table which isn't free (overrun
+ * sitting, paid, being cleaned) is expected to be free after "config.app.bookings.slotInterval" minutes at the
+ * earliest. A table must also be free for the whole sitting of the walk-in. Every "config.app.bookings.slotInterval"
+ * minutes are tried until the end of the current service.
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} clients_nb - How many clients are waiting
+ * @returns {Promise<{wait: Number, time: Date, table: Table}|ModelError>} The wait in minutes, when and at which
+ * table the clients could be seated, or a ModelError
+ *
+ * @example
+ * 	Booking.getWalkInWait(db, 4)
+ */
+const getWalkInWait = async (db, clients_nb) => {
+	const { sittingDuration, slotInterval } = config.app.bookings;
+	const now = new Date();
+	const clientsNb = Converters.toNumber(clients_nb);
+
+	if (!Checkers.isGreaterThan(clientsNb, 0)) {
+		return new ModelError(400, "Vous devez fournir un nombre valide de personnes.", ["clients_nb"]);
+	}
+
+	const tables = (await Table.getAllUsable(db)).filter(table => table.capacity >= clientsNb);
+
+	if (tables.length === 0) {
+		return new ModelError(404, `Aucune table ne peut accueillir ${clientsNb} personnes.`, ["clients_nb"]);
+	}
+
+	// When the clients being served should leave each table
+	const servedBookings = await db.query(`
+		SELECT booking_tables.table_id, MAX(bookings.time) AS time
+		FROM booking_tables
+		INNER JOIN bookings ON booking_tables.booking_id = bookings.booking_id
+		WHERE bookings.is_finished = 0 AND bookings.status <> 'reserved'
+		GROUP BY booking_tables.table_id
+	`);
+	const releases = new Map(servedBookings.map(booking => [
+		booking.table_id,
+		new Date(booking.time).getTime() + sittingDuration * 60000
+	]));
+
+	let best = null;
+
+	for (const table of tables) {
+		const earliest = table.status === "free"
+			? now.getTime()
+			: Math.max(now.getTime() + slotInterval * 60000, releases.get(table.table_id) || 0);
+		let time = new Date(earliest);
+
+		while ((!best || time < best.time) && await Schedule.getService(db, time)) {
+			if (await Table.isFreeAt(db, table.table_id, time)) {
+				best = { time, table };
+				break;
+			}
+
+			time = new Date(time.getTime() + slotInterval * 60000);
+		}
+	}
+
+	if (!best) {
+		return new ModelError(404, "Aucune table ne se libère avant la fin du service.", ["clients_nb"]);
+	}
+
+	return {
+		wait: Math.ceil((best.time.getTime() - now.getTime()) / 60000),
+		time: best.time,
+		table: { table_id: best.table.table_id, name: best.table.name, capacity: best.table.capacity }
+	};
+};
+
 /**
  * @async
  * @function buildBookings
@@ -287,28 +743,43 @@ const getAllToday = async db => {
  */
 const buildBookings = async (db, bookings) => {
 	const build = async booking => {
-		const user = await User.getById(db, booking.user_id);
+		const user = booking.user_id ? await User.getById(db, booking.user_id) : null;
 		const table = await Table.getById(db, booking.table_id);
+		const tables = await db.query(`
+			SELECT tables.table_id, tables.name, tables.capacity
+			FROM booking_tables
+			INNER JOIN tables ON booking_tables.table_id = tables.table_id
+			WHERE booking_tables.booking_id = ?
+			ORDER BY booking_tables.table_id = ? DESC, tables.capacity DESC
+		`, [booking.booking_id, booking.table_id]);
 
 		return {
 			booking_id: booking.booking_id,
-			user: {
+			user: user && !(user instanceof ModelError) ? {
 				user_id: user.user_id,
 				role: user.role,
 				first_name: user.first_name,
 				last_name: user.last_name,
 				email: user.email
-			},
+			} : null,
 			table: {
 				table_id: table.table_id,
 				name: table.name,
 				capacity: table.capacity
 			},
+			tables: [...tables],
 			time: booking.time,
 			clients_nb: booking.clients_nb,
 			is_client_on_place: booking.is_client_on_place,
 			can_client_pay: booking.can_client_pay,
-			is_finished: booking.is_finished
+			is_finished: booking.is_finished,
+			is_cancelled: booking.is_cancelled,
+			cancelled_at: booking.cancelled_at,
+			cancellation_reason: booking.cancellation_reason,
+			is_no_show: booking.is_no_show,
+			is_walk_in: booking.is_walk_in,
+			status: booking.status,
+			status_changed_at: booking.status_changed_at
 		};
 	};
 
@@ -329,50 +800,401 @@ const buildBookings = async (db, bookings) => {
 /**
  * @async
  * @function update
- * @description Update the booking
+ * @description Update a booking whose clients are not seated yet. When its table, time or number of clients changes,
+ * the table must be free for the whole sitting: other tables are picked if the current ones don't fit anymore. Giving
+ * a table seats the whole party at this single table. The tables are checked and written in a single transaction,
+ * during which they are locked as in add. Once it is committed, "booking.updated" is emitted, and "slot.freed" so that
+ * freed tables are offered to the waitlist. The service lifecycle is handled by setStatus.
+ * @see {@link module:models/Table}
  *
  * @param {Promise<void>} db - Database connection
  * @param {Number|string} booking_id - ID of the booking
- * @param {Number|string} table_id - ID of the table reserved for this booking
- * @param {string|Date} time - When the booking is scheduled
- * @param {Number} clients_nb - How many clients will be present
- * @param {Number|boolean} is_client_on_place - Is the client on place or not
- * @param {Boolean|Number} can_client_pay - Is the client able to access payment page or not
+ * @param {Number|string} [table_id] - ID of the table reserved for this booking
+ * @param {string|Date} [time] - When the booking is scheduled
+ * @param {Number} [clients_nb] - How many clients will be present
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	Booking.update(db, 20, 1, null, 3)
+ */
+const update = async (db, booking_id, table_id, time, clients_nb) => {
+	const booking = await getById(db, booking_id);
+	if (booking instanceof ModelError) return booking;
+
+	if (booking.status !== "reserved" || booking.is_cancelled) {
+		return new ModelError(409, "Seule une réservation en attente de ses clients peut être modifiée.", ["booking_id"]);
+	}
+
+	if (Checkers.isDefined(time) && !Checkers.isDate(new Date(time))) {
+		return new ModelError(400, "Vous devez fournir une date de réservation valide.", ["time"]);
+	}
+
+	if (Checkers.isDefined(time) && !await Schedule.getService(db, time, config.app.bookings.sittingDuration)) {
+		return new ModelError(400, "Le restaurant n'est pas ouvert pendant toute la durée du repas à cette date.", ["time"]);
+	}
+
+	if (Checkers.isDefined(clients_nb) && !Checkers.isGreaterThan(clients_nb, 0)) {
+		return new ModelError(400, "Vous devez fournir un nombre valide de personnes.", ["clients_nb"]);
+	}
+
+	return transaction(db, async () => {
+		await Table.lockUsable(db);
+
+		// Check the tables for the whole sitting
+		const currentTables = booking.tables.map(table => table.table_id);
+		let newTables = null;
+
+		if (Checkers.isDefined(table_id) || Checkers.isDefined(time) || Checkers.isDefined(clients_nb)) {
+			const sittingTime = Checkers.isDefined(time) ? new Date(time) : booking.time;
+			const sittingClients = Checkers.isDefined(clients_nb) ? clients_nb : booking.clients_nb;
+
+			if (Checkers.isDefined(table_id)) {
+				const table = await Table.getById(db, table_id);
+				if (table instanceof ModelError) return table;
+
+				if (table.capacity < sittingClients) {
+					return new ModelError(400, `Cette table ne peut accueillir que ${table.capacity} personnes.`, ["table_id"]);
+				}
+
+				if (!await Table.isFreeAt(db, table_id, sittingTime, booking_id)) {
+					return new ModelError(409, "Cette table est déjà réservée sur ce créneau.", ["table_id", "time"]);
+				}
+
+				newTables = [table.table_id];
+			} else {
+				const capacity = booking.tables.reduce((total, table) => total + table.capacity, 0);
+				let areFree = true;
+
+				for (const current_table_id of currentTables) {
+					if (!await Table.isFreeAt(db, current_table_id, sittingTime, booking_id)) areFree = false;
+				}
+
+				if (capacity < sittingClients || !areFree) {
+					const availableTables = await Table.getForBooking(db, sittingClients, sittingTime, booking_id);
+
+					if (availableTables instanceof ModelError) {
+						return new ModelError(400, "Aucune table n'est disponible à cette date.", ["time"]);
+					}
+
+					newTables = availableTables.map(table => table.table_id);
+					table_id = newTables[0];
+				}
+			}
+		}
+
+		const updatingFields = getFieldsToUpdate({ table_id, time, clients_nb });
+		if (!updatingFields) return new ModelError(200, "Rien à mettre à jour.");
+
+		const result = await db.query(`UPDATE bookings SET ${updatingFields} WHERE booking_id = ?`, [booking_id]);
+		if (newTables) await setTables(db, booking_id, newTables);
+
+		// The reminder is sent again for the new time
+		if (Checkers.isDefined(time)) await db.query("UPDATE bookings SET reminder_sent_at = NULL WHERE booking_id = ?", [booking_id]);
+
+		if (newTables || Checkers.isDefined(time)) afterCommit(db, () => Events.emit("slot.freed"));
+		const updated = await getById(db, booking_id);
+		afterCommit(db, () => Events.emit("booking.updated", updated));
+
+		return result;
+	});
+};
+
+/**
+ * @async
+ * @function setStatus
+ * @description Move a booking to the next step of the service: its clients are seated, they order, they ask for the
+ * bill, then they pay. Only the steps allowed by the lifecycle can be reached and the clients can only be seated at
+ * tables which are free or reserved. The tables of the booking follow its status: the booking and its tables are
+ * locked, then written in a single transaction. The change is timestamped and recorded, and once paid the booking
+ * is finished and "slot.freed" is emitted to offer its tables to the waitlist.
+ * @see {@link module:models/StatusChange}
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} booking_id - ID of the booking
+ * @param {string} status - The new status
+ * @param {Number|string} [user_id] - ID of the user who moves the booking
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	Booking.setStatus(db, 4, "seated", 2)
+ */
+const setStatus = async (db, booking_id, status, user_id) => {
+	if (!Object.keys(transitions).includes(status)) {
+		return new ModelError(400, `Le statut doit être l'un des suivants : ${Object.keys(transitions).join(", ")}.`, ["status"]);
+	}
+
+	return transaction(db, async () => {
+		// Lock the booking and its tables before reading them
+		await db.query("SELECT booking_id FROM bookings WHERE booking_id = ? FOR UPDATE", [booking_id]);
+		const bookingTables = await db.query("SELECT table_id FROM booking_tables WHERE booking_id = ? FOR UPDATE", [booking_id]);
+		const tables = await Table.lock(db, bookingTables.map(table => table.table_id));
+
+		const booking = await getById(db, booking_id);
+		if (booking instanceof ModelError) return booking;
+
+		if (booking.is_cancelled || booking.is_no_show) {
+			return new ModelError(409, "Cette réservation a été annulée ou ses clients ne sont pas venus.", ["booking_id"]);
+		}
+
+		if (!transitions[booking.status].includes(status)) {
+			return new ModelError(409, `Une réservation "${booking.status}" ne peut pas passer à "${status}".`, ["status"]);
+		}
+
+		if (status === "seated") {
+			const busyTable = tables.find(table => !["free", "reserved"].includes(table.status));
+
+			if (busyTable) {
+				return new ModelError(409, `La table ${busyTable.name} n'est pas prête à accueillir des clients.`, ["booking_id"]);
+			}
+		}
+
+		// The former flags stay in line with the status
+		const flags = {
+			seated: { is_client_on_place: 1 },
+			ordering: { can_client_pay: 0 },
+			waiting_bill: { can_client_pay: 1 },
+			paid: { is_client_on_place: 0, can_client_pay: 0, is_paid: 1, is_finished: 1 }
+		}[status];
+
+		const result = await db.query(
+			`UPDATE bookings SET ${getFieldsToUpdate({ ...flags, status })}, status_changed_at = NOW() WHERE booking_id = ?`,
+			[booking_id]
+		);
+
+		await StatusChange.add(db, "booking", booking_id, booking.status, status, user_id);
+
+		for (const table of tables) {
+			await Table.setStatus(db, table.table_id, status, user_id, true);
+		}
+
+		if (status === "paid") afterCommit(db, () => Events.emit("slot.freed"));
+
+		return result;
+	});
+};
+
+/**
+ * @async
+ * @function cancel
+ * @description Cancel a booking which hasn't started yet. The booking is kept as a cancelled record and its tables
+ * are freed. It can't be cancelled less than "config.app.bookings.cancellationCutoff" minutes before its time. Emits
+ * "booking.cancelled", and "slot.freed" so that the tables are offered to the waitlist.
+ * @see {@link module:models/Waitlist}
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} booking_id - ID of the booking
+ * @param {string} [reason] - Why the booking is cancelled
  * @returns {Promise<void|ModelError>} Nothing or a ModelError
  *
  * @example
- * 	Booking.update(db, 20, 1, null, 3, false, true)
+ * 	Booking.cancel(db, 4, "Empêchement de dernière minute")
  */
-const update = async (db, booking_id, table_id, time, clients_nb, is_client_on_place, can_client_pay, is_finished, is_paid) => {
-	const updatingFields = getFieldsToUpdate({ table_id, time, clients_nb, is_client_on_place, can_client_pay, is_finished, is_paid });
-	if (!updatingFields) return new ModelError(200, "Rien à mettre à jour.");
+const cancel = async (db, booking_id, reason) => {
+	const { cancellationCutoff } = config.app.bookings;
+	const booking = await getById(db, booking_id);
+	if (booking instanceof ModelError) return booking;
+
+	if (booking.is_cancelled) {
+		return new ModelError(409, "Cette réservation a déjà été annulée.", ["booking_id"]);
+	}
+
+	if (booking.status !== "reserved" || booking.is_finished) {
+		return new ModelError(409, "Une réservation commencée ou terminée ne peut pas être annulée.", ["booking_id"]);
+	}
+
+	if (new Date(booking.time).getTime() - Date.now() < cancellationCutoff * 60000) {
+		return new ModelError(
+			403,
+			`Une réservation ne peut plus être annulée moins de ${cancellationCutoff} minutes avant son début.`,
+			["booking_id"]
+		);
+	}
+
+	if (Checkers.isDefined(reason) && (!Checkers.isString(reason) || reason.length > 255)) {
+		return new ModelError(400, "Le motif d'annulation ne doit pas dépasser 255 caractères.", ["reason"]);
+	}
+
+	const result = await db.query(`
+		UPDATE bookings
+		SET is_cancelled = 1, is_finished = 1, cancelled_at = NOW(), cancellation_reason = ?,
+			status = 'cancelled', status_changed_at = NOW()
+		WHERE booking_id = ?
+	`, [Checkers.isDefined(reason) && reason.trim() ? reason.trim() : null, booking_id]);
 
-	return db.query(`UPDATE bookings SET ${updatingFields} WHERE booking_id = ?`, [booking_id]);
+	await StatusChange.add(db, "booking", booking_id, booking.status, "cancelled", null);
+
+	for (const table of booking.tables) {
+		await Table.refreshAvailability(db, table.table_id);
+	}
+
+	afterCommit(db, () => Events.emit("slot.freed"));
+	Events.emit("booking.cancelled", await getById(db, booking_id));
+
+	return result;
+};
+
+/**
+ * @async
+ * @function markNoShows
+ * @description Mark as no-shows the bookings whose clients are still not on place
+ * "config.app.bookings.noShowGracePeriod" minutes after their time. Their tables are released and the no-show is
+ * counted for the user. Each booking is marked in its own transaction: one which fails is left untouched for the
+ * next run, after the others are marked. Emits "slot.freed" so that the tables are offered to the waitlist.
+ * @see {@link module:models/Waitlist}
+ *
+ * @param {Promise<void>} db - Database connection
+ * @returns {Promise<Array<Number>|ModelError>} The IDs of the bookings marked as no-shows or a ModelError
+ *
+ * @example
+ * 	Booking.markNoShows(db)
+ */
+const markNoShows = async db => {
+	const { noShowGracePeriod } = config.app.bookings;
+	const bookings = await db.query(`
+		SELECT booking_id, user_id, status
+		FROM bookings
+		WHERE is_client_on_place = 0
+			AND is_finished = 0
+			AND is_cancelled = 0
+			AND time <= NOW() - INTERVAL ? MINUTE
+	`, [noShowGracePeriod]);
+
+	const marked = [];
+	let error;
+
+	for (const booking of bookings) {
+		const isMarked = await transaction(db, async () => {
+			// The clients may have been seated since the booking was selected
+			const result = await db.query(`
+				UPDATE bookings
+				SET is_no_show = 1, is_finished = 1, status = 'no_show', status_changed_at = NOW()
+				WHERE booking_id = ?
+					AND is_client_on_place = 0
+					AND is_finished = 0
+					AND is_cancelled = 0
+			`, [booking.booking_id]);
+			if (result.affectedRows === 0) return false;
+
+			await StatusChange.add(db, "booking", booking.booking_id, booking.status, "no_show", null);
+			await db.query("UPDATE users SET no_shows_nb = no_shows_nb + 1 WHERE user_id = ?", [booking.user_id]);
+
+			const tables = await db.query("SELECT table_id FROM booking_tables WHERE booking_id = ?", [booking.booking_id]);
+
+			for (const table of tables) {
+				await Table.refreshAvailability(db, table.table_id);
+			}
+
+			afterCommit(db, () => Events.emit("slot.freed"));
+
+			return true;
+		});
+
+		if (isMarked instanceof ModelError) error = isMarked;
+		else if (isMarked) marked.push(booking.booking_id);
+	}
+
+	return error || marked;
+};
+
+/**
+ * @async
+ * @function sendReminders
+ * @description Remind the users whose booking starts in less than "config.app.bookings.reminderDelay" minutes. Each
+ * booking is only reminded once, unless its time changes: it is only marked as reminded once the email is sent, so
+ * that a failed sending is tried again on the next run.
+ *
+ * @param {Promise<void>} db - Database connection
+ * @returns {Promise<Array<Number>|ModelError>} The IDs of the reminded bookings or a ModelError
+ *
+ * @example
+ * 	Booking.sendReminders(db)
+ */
+const sendReminders = async db => {
+	const { reminderDelay } = config.app.bookings;
+	const bookings = await db.query(`
+		SELECT booking_id
+		FROM bookings
+		WHERE is_finished = 0
+			AND is_cancelled = 0
+			AND user_id IS NOT NULL
+			AND reminder_sent_at IS NULL
+			AND time > NOW()
+			AND time <= NOW() + INTERVAL ? MINUTE
+	`, [reminderDelay]);
+
+	const reminded = [];
+	let error;
+
+	for (const booking of bookings) {
+		try {
+			await Mail.sendBookingReminder(await getById(db, booking.booking_id));
+		} catch (err) {
+			error = new ModelError(500, `Le rappel n'a pas pu être envoyé par e-mail : ${err.message}`);
+			continue;
+		}
+
+		await db.query("UPDATE bookings SET reminder_sent_at = NOW() WHERE booking_id = ?", [booking.booking_id]);
+		reminded.push(booking.booking_id);
+	}
+
+	return error || reminded;
 };
 
 /* ---- DELETE ---------------------------------- */
 /**
  * @async
  * @function delete
- * @description Delete a booking by its ID
+ * @description Delete a booking by its ID. Emits "booking.cancelled", and "slot.freed" so that its tables are offered
+ * to the waitlist.
  *
  * @param {Promise<void>} db - Database connection
  * @param {string|Number} booking_id - ID of the booking
- * @returns {Promise<void>} Nothing
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
  *
  * @example
  * 	Booking.delete(db, 4)
  */
 const del = async (db, booking_id) => {
 	const booking = await getById(db, booking_id);
-	await Table.update(db, booking[0].table.table_id, null, null ,true);
+	if (booking instanceof ModelError) return booking;
+
+	const result = await db.query("DELETE FROM bookings WHERE booking_id = ?", [booking_id]);
 
-	return db.query("DELETE FROM bookings WHERE booking_id = ?", [booking_id]);
+	for (const table of booking.tables) {
+		await Table.refreshAvailability(db, table.table_id);
+	}
+
+	afterCommit(db, () => Events.emit("slot.freed"));
+	Events.emit("booking.cancelled", booking);
+
+	return result;
 };
 
 /*****************************************************
  * Export
  *****************************************************/
 
-const Booking = { add, getById, getByUserId, getActiveByUserId, getAll, getAllActive, getAllToday, update, delete: del };
+const Booking = {
+	add,
+	addWalkIn,
+	getById,
+	getByUserId,
+	getActiveByUserId,
+	getAll,
+	getAllActive,
+	getAllToday,
+	getAllUpcoming,
+	getFeedUrl,
+	getFeed,
+	getOwnerId,
+	getAvailability,
+	getWalkInWait,
+	update,
+	setStatus,
+	cancel,
+	markNoShows,
+	sendReminders,
+	revokeFeed,
+	delete: del
+};
 export default Booking;
\ No newline at end of file
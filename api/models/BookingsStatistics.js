@@ -0,0 +1,82 @@
+/** @module models/BookingsStatistics */
+import ModelError from "../../global/ModelError.js";
+
+/**
+ * A booking statistic
+ * @typedef {Object} BookingStatistic
+ * @property {Date} day - Which day is corresponding to that statistic
+ * @property {Number} bookings_nb - How many bookings were scheduled this day, cancelled ones included
+ * @property {Number} clients_nb - How many clients were expected, without the cancelled bookings
+ * @property {Number} cancelled_nb - How many bookings were cancelled
+ * @property {Number} no_shows_nb - How many bookings ended without the clients coming
+ */
+
+/**
+ * @ignore
+ * @description Columns of a booking statistic, computed from the bookings of a day
+ * @type {string}
+ */
+const statColumns = `
+	DATE(time) AS day,
+	COUNT(*) AS bookings_nb,
+	COALESCE(SUM(CASE WHEN is_cancelled = 0 THEN clients_nb ELSE 0 END), 0) AS clients_nb,
+	COALESCE(SUM(is_cancelled), 0) AS cancelled_nb,
+	COALESCE(SUM(is_no_show), 0) AS no_shows_nb
+`;
+
+/*****************************************************
+ * CRUD Methods
+ *****************************************************/
+
+/* ---- READ ------------------------------------ */
+/**
+ * @async
+ * @function getToday
+ * @description Get the statistic for this day
+ *
+ * @param {Promise<void>} db - Database connection
+ * @returns {Promise<BookingStatistic|ModelError>} The today stat or a ModelError
+ *
+ * @example
+ * 	BookingsStatistics.getToday(db)
+ */
+const getToday = async (db) => {
+	const stat = await db.query(`
+		SELECT ${statColumns}
+		FROM bookings
+		WHERE DATE(time) = CURDATE()
+		GROUP BY DATE(time)
+	`);
+
+	return stat[0] ? stat[0] : new ModelError(404, "Aucune statistique de réservations n'est disponible pour aujourd'hui.");
+};
+
+/**
+ * @async
+ * @function getWeek
+ * @description Get the statistic for this week
+ *
+ * @param {Promise<void>} db - Database connection
+ * @returns {Promise<Array<BookingStatistic>>} A list of BookingStatistic
+ *
+ * @example
+ * 	BookingsStatistics.getWeek(db)
+ */
+const getWeek = async (db) => {
+	return await db.query(`
+		SELECT ${statColumns}
+		FROM bookings
+		WHERE
+			time >= DATE(NOW()) + INTERVAL -6 DAY
+			AND time < DATE(NOW()) + INTERVAL 1 DAY
+		GROUP BY DATE(time)
+		ORDER BY day
+	`);
+};
+
+/*****************************************************
+ * Export
+ *****************************************************/
+
+const BookingsStatistics = { getToday, getWeek };
+export default BookingsStatistics;
\ No newline at end of file
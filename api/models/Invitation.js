@@ -0,0 +1,225 @@
+/**
+ * @module models/Invitation
+ * @description An Invitation is sent by email to a new staff member so he can create his account and choose his own
+ * password. It is single-use and time-limited.
+ */
+import config from "../../config/config.js";
+import Mail from "../../global/Mail.js";
+import ModelError from "../../global/ModelError.js";
+import Checkers from "../../global/Checkers.js";
+import { generateCode, hashCode } from "../../global/Functions.js";
+
+/**
+ * An Invitation
+ * @typedef {Object} Invitation
+ * @see {@link module:models/Role}
+ *
+ * @property {Number} invitation_id - ID of the invitation
+ * @property {Number} role_id - ID of the role given to the new staff member
+ * @property {string} role - Name of the role
+ * @property {string} first_name - New staff member first name
+ * @property {string} [last_name] - New staff member last name
+ * @property {string} email - New staff member email address
+ * @property {Number} [invited_by] - ID of the user who sent the invitation
+ * @property {string} [code_hash] - SHA-256 hash of the last code sent, the code itself is never stored
+ * @property {Date|string} created_at - When the invitation was created
+ * @property {Date|string} expires_at - When the invitation will expire
+ * @property {Date|string} [accepted_at] - When the invitation was accepted
+ */
+
+/*****************************************************
+ * Functions
+ *****************************************************/
+
+/**
+ * @ignore
+ * @async
+ * @function send
+ * @description Generate a new code for an invitation and send it by email
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} invitation_id - ID of the invitation
+ * @param {string} email - New staff member email address
+ * @returns {Promise<{code: Number, message: string}|ModelError>} A confirmation message or a ModelError
+ *
+ * @example
+ * 	send(db, 4, "daft.punk@elect.ro")
+ */
+const send = async (db, invitation_id, email) => {
+	const { invitationLifetime } = config.app.security;
+	const code = await generateCode();
+
+	await db.query(`
+		UPDATE invitations
+		SET code_hash = ?, expires_at = NOW() + INTERVAL ? MINUTE
+		WHERE invitation_id = ?
+	`, [hashCode(code), invitationLifetime, invitation_id]);
+
+	try {
+		await Mail.sendInvitation(email, code, invitationLifetime);
+		return { code: 202, message: "Invitation envoyée." };
+	} catch (err) {
+		return new ModelError(500, "Impossible d'envoyer l'invitation à l'adresse e-mail du nouvel employé.");
+	}
+};
+
+/*****************************************************
+ * CRUD Methods
+ *****************************************************/
+
+/* ---- CREATE ---------------------------------- */
+/**
+ * @async
+ * @function add
+ * @description Add an invitation and send it by email. The fields must be checked beforehand.
+ * @see {@link module:models/User}
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string} first_name - New staff member first name
+ * @param {string} [last_name] - New staff member last name
+ * @param {string} email - New staff member email address
+ * @param {Number|string} role_id - ID of the role given to the new staff member
+ * @param {Number|string} [invited_by] - ID of the user who sends the invitation
+ * @returns {Promise<{code: Number, message: string}|ModelError>} A confirmation message or a ModelError
+ *
+ * @example
+ * 	Invitation.add(db, "Daft", "Punk", "daft.punk@elect.ro", 3, 1)
+ */
+const add = async (db, first_name, last_name, email, role_id, invited_by) => {
+	// Replace any pending invitation sent to the same address
+	await db.query("DELETE FROM invitations WHERE email = ? AND accepted_at IS NULL", [email]);
+
+	const invitation = await db.query(`
+		INSERT INTO invitations(role_id, first_name, last_name, email, invited_by, expires_at)
+		VALUES (?, ?, ?, ?, ?, NOW())
+		`, [role_id, first_name, last_name ? last_name : null, email, invited_by ? invited_by : null]
+	);
+
+	return send(db, invitation.insertId, email);
+};
+
+/* ---- READ ------------------------------------ */
+/**
+ * @async
+ * @function getAllPending
+ * @description Get every invitation which has not been accepted yet, expired ones included
+ *
+ * @param {Promise<void>} db - Database connection
+ * @returns {Promise<Array<Invitation>>} A list of invitations
+ *
+ * @example
+ * 	Invitation.getAllPending(db)
+ */
+const getAllPending = async db => {
+	return db.query(`
+		SELECT
+			invitations.invitation_id,
+			roles.role_id,
+			roles.name AS "role",
+			invitations.first_name,
+			invitations.last_name,
+			invitations.email,
+			invitations.invited_by,
+			invitations.created_at,
+			invitations.expires_at,
+			invitations.expires_at <= NOW() AS "is_expired"
+		FROM invitations
+		LEFT JOIN roles ON invitations.role_id = roles.role_id
+		WHERE invitations.accepted_at IS NULL
+		ORDER BY invitations.created_at DESC
+	`);
+};
+
+/* ---- UPDATE ---------------------------------- */
+/**
+ * @async
+ * @function resend
+ * @description Send an invitation again with a new code and a new expiration date
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} invitation_id - ID of the invitation
+ * @returns {Promise<{code: Number, message: string}|ModelError>} A confirmation message or a ModelError
+ *
+ * @example
+ * 	Invitation.resend(db, 4)
+ */
+const resend = async (db, invitation_id) => {
+	const invitation = await db.query(`
+		SELECT invitation_id, email
+		FROM invitations
+		WHERE invitation_id = ? AND accepted_at IS NULL
+	`, [invitation_id]);
+
+	if (!invitation[0]) {
+		return new ModelError(404, `Aucune invitation en attente n'a été trouvée avec l'ID "${invitation_id}".`);
+	}
+
+	return send(db, invitation[0].invitation_id, invitation[0].email);
+};
+
+/**
+ * @async
+ * @function consume
+ * @description Accept an invitation using its code. An invitation can only be accepted once and before its
+ * expiration date.
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string} code - The invitation code
+ * @returns {Promise<Invitation|ModelError>} The accepted invitation or a ModelError
+ *
+ * @example
+ * 	Invitation.consume(db, "UkZaV1BaWDByTjZvUlkwWWhCdUFoajBJUWowdng3VFE1WU9uM3hxZXUvVWRoVlIybTB4R2NHSXUzWnJRVm9pVA")
+ */
+const consume = async (db, code) => {
+	if (!Checkers.strInRange(code, 1, 255)) {
+		return new ModelError(400, "Vous devez fournir un code d'invitation valide.", ["code"]);
+	}
+
+	const code_hash = hashCode(code);
+	const result = await db.query(`
+		UPDATE invitations
+		SET accepted_at = NOW()
+		WHERE code_hash = ? AND accepted_at IS NULL AND expires_at > NOW()
+	`, [code_hash]);
+
+	if (result.affectedRows === 0) {
+		return new ModelError(400, "Cette invitation est invalide, a déjà été acceptée ou a expiré.", ["code"]);
+	}
+
+	const invitation = await db.query(`
+		SELECT invitation_id, role_id, first_name, last_name, email, invited_by, created_at, expires_at, accepted_at
+		FROM invitations
+		WHERE code_hash = ?
+		LIMIT 1
+	`, [code_hash]);
+
+	return invitation[0];
+};
+
+/* ---- DELETE ---------------------------------- */
+/**
+ * @async
+ * @function revoke
+ * @description Revoke a pending invitation
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} invitation_id - ID of the invitation
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	Invitation.revoke(db, 4)
+ */
+const revoke = async (db, invitation_id) => {
+	const result = await db.query("DELETE FROM invitations WHERE invitation_id = ? AND accepted_at IS NULL", [invitation_id]);
+
+	return result.affectedRows > 0
+		? result
+		: new ModelError(404, `Aucune invitation en attente n'a été trouvée avec l'ID "${invitation_id}".`);
+};
+
+/*****************************************************
+ * Export
+ *****************************************************/
+
+const Invitation = { add, getAllPending, resend, consume, revoke };
+export default Invitation;
\ No newline at end of file
@@ -0,0 +1,240 @@
+/**
+ * @module models/LoginAttempt
+ * @description Keep track of login attempts to slow down and lock out brute-force attacks.
+ */
+import config from "../../config/config.js";
+import ModelError from "../../global/ModelError.js";
+
+/**
+ * A login attempt
+ * @typedef {Object} LoginAttempt
+ * @property {Number} attempt_id - ID of the attempt
+ * @property {string} email - Email address used for this attempt
+ * @property {string} [ip] - IP address of the device which made this attempt
+ * @property {Boolean|Number} is_success - Was the attempt successful
+ * @property {Date|string} time - When the attempt was made
+ */
+
+/**
+ * A lockout, kept as an audit record
+ * @typedef {Object} Lockout
+ * @property {Number} lockout_id - ID of the lockout
+ * @property {Number} user_id - ID of the locked user
+ * @property {string} email - Email address of the locked user
+ * @property {string} [ip] - IP address of the device which triggered the lockout
+ * @property {Number} failures - How many failed attempts triggered the lockout
+ * @property {Date|string} locked_at - When the account was locked
+ * @property {Date|string} locked_until - When the account will be unlocked
+ * @property {Date|string} [unlocked_at] - When the account was manually unlocked
+ * @property {Number} [unlocked_by] - ID of the user who unlocked the account
+ */
+
+/*****************************************************
+ * CRUD Methods
+ *****************************************************/
+
+/* ---- CREATE ---------------------------------- */
+/**
+ * @async
+ * @function add
+ * @description Add a login attempt
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string} email - Email address used for this attempt
+ * @param {string} [ip] - IP address of the device which made this attempt
+ * @param {Boolean} is_success - Was the attempt successful
+ * @returns {Promise<void>}
+ *
+ * @example
+ * 	LoginAttempt.add(db, "daft.punk@elect.ro", "::1", false)
+ */
+const add = async (db, email, ip, is_success) => {
+	return db.query(`
+		INSERT INTO login_attempts(email, ip, is_success)
+		VALUES (?, ?, ?)
+		`, [email, ip ? ip : null, is_success]
+	);
+};
+
+/**
+ * @async
+ * @function lock
+ * @description Lock an account for "config.app.security.login.lockoutDuration" minutes
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} user_id - ID of the user to lock
+ * @param {string} email - Email address of the user
+ * @param {string} [ip] - IP address of the device which triggered the lockout
+ * @param {Number} failures - How many failed attempts triggered the lockout
+ * @returns {Promise<void>}
+ *
+ * @example
+ * 	LoginAttempt.lock(db, 45, "daft.punk@elect.ro", "::1", 5)
+ */
+const lock = async (db, user_id, email, ip, failures) => {
+	return db.query(`
+		INSERT INTO lockouts(user_id, email, ip, failures, locked_until)
+		VALUES (?, ?, ?, ?, NOW() + INTERVAL ? MINUTE)
+		`, [user_id, email, ip ? ip : null, failures, config.app.security.login.lockoutDuration]
+	);
+};
+
+/* ---- READ ------------------------------------ */
+/**
+ * @async
+ * @function countFailures
+ * @description Count the recent failed attempts of an account and of an IP address. For an account, only the
+ * failures since its last successful login or its last lockout are counted.
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string} email - Email address
+ * @param {string} [ip] - IP address
+ * @returns {Promise<{email: Number, ip: Number, elapsed: Number}>} How many failed attempts for the account and the
+ * IP address, and how many milliseconds since the last one
+ *
+ * @example
+ * 	LoginAttempt.countFailures(db, "daft.punk@elect.ro", "::1")
+ */
+const countFailures = async (db, email, ip) => {
+	const { attemptsWindow } = config.app.security.login;
+
+	const failures = await db.query(`
+		SELECT
+			(
+				SELECT COUNT(*)
+				FROM login_attempts
+				WHERE email = ?
+					AND is_success = 0
+					AND time > NOW() - INTERVAL ? MINUTE
+					AND time > GREATEST(
+						COALESCE((SELECT MAX(time) FROM login_attempts WHERE email = ? AND is_success = 1), "1970-01-01"),
+						COALESCE((SELECT MAX(locked_at) FROM lockouts WHERE email = ?), "1970-01-01")
+					)
+			) AS "email",
+			(
+				SELECT COUNT(*)
+				FROM login_attempts
+				WHERE ip = ? AND is_success = 0 AND time > NOW() - INTERVAL ? MINUTE
+			) AS "ip",
+			(
+				SELECT TIMESTAMPDIFF(MICROSECOND, MAX(time), NOW()) DIV 1000
+				FROM login_attempts
+				WHERE (email = ? OR ip = ?) AND is_success = 0 AND time > NOW() - INTERVAL ? MINUTE
+			) AS "elapsed"
+	`, [email, attemptsWindow, email, email, ip ? ip : null, attemptsWindow, email, ip ? ip : null, attemptsWindow]);
+
+	return {
+		email: Number(failures[0].email),
+		ip: Number(failures[0].ip),
+		elapsed: failures[0].elapsed === null ? Infinity : Number(failures[0].elapsed)
+	};
+};
+
+/**
+ * @async
+ * @function getActiveLockout
+ * @description Get the current lockout of an account
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} user_id - ID of the user
+ * @returns {Promise<Lockout|null>} The lockout or null if the account is not locked
+ *
+ * @example
+ * 	LoginAttempt.getActiveLockout(db, 45)
+ */
+const getActiveLockout = async (db, user_id) => {
+	const lockout = await db.query(`
+		SELECT lockout_id, user_id, email, ip, failures, locked_at, locked_until, unlocked_at, unlocked_by
+		FROM lockouts
+		WHERE user_id = ? AND unlocked_at IS NULL AND locked_until > NOW()
+		ORDER BY locked_until DESC
+		LIMIT 1
+	`, [user_id]);
+
+	return lockout[0] ? lockout[0] : null;
+};
+
+/**
+ * @async
+ * @function getAllLockouts
+ * @description Get every lockout, most recent first
+ *
+ * @param {Promise<void>} db - Database connection
+ * @returns {Promise<Array<Lockout>>} A list of lockouts
+ *
+ * @example
+ * 	LoginAttempt.getAllLockouts(db)
+ */
+const getAllLockouts = async db => {
+	return db.query(`
+		SELECT lockout_id, user_id, email, ip, failures, locked_at, locked_until, unlocked_at, unlocked_by
+		FROM lockouts
+		ORDER BY locked_at DESC
+	`);
+};
+
+/**
+ * @function getDelay
+ * @description Get how many milliseconds a login attempt must be delayed. The delay grows with each failure.
+ *
+ * @param {{email: Number, ip: Number}} failures - How many failed attempts for the account and the IP address
+ * @returns {Number} The delay in milliseconds
+ *
+ * @example
+ * 	LoginAttempt.getDelay({ email: 3, ip: 4 }) // return 2000 with a delay step of 500ms
+ */
+const getDelay = failures => {
+	const { delayStep, maxDelay } = config.app.security.login;
+	return Math.min(Math.max(failures.email, failures.ip) * delayStep, maxDelay);
+};
+
+/**
+ * @function getRetryAfter
+ * @description Get how many seconds to wait before the next login attempt. An IP address which made too many failed
+ * attempts must wait for the end of the attempts window, otherwise the delay of the last failure must be over.
+ *
+ * @param {{email: Number, ip: Number, elapsed: Number}} failures - The failed attempts, as counted by countFailures
+ * @returns {Number} The number of seconds to wait, 0 if a new attempt can be made now
+ *
+ * @example
+ * 	LoginAttempt.getRetryAfter({ email: 3, ip: 4, elapsed: 500 }) // return 2 with a delay step of 500ms
+ */
+const getRetryAfter = failures => {
+	const { maxAttemptsPerIp, attemptsWindow } = config.app.security.login;
+
+	if (failures.ip >= maxAttemptsPerIp) return attemptsWindow * 60;
+	return Math.max(Math.ceil((getDelay(failures) - failures.elapsed) / 1000), 0);
+};
+
+/* ---- UPDATE ---------------------------------- */
+/**
+ * @async
+ * @function unlock
+ * @description Unlock an account
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} user_id - ID of the user to unlock
+ * @param {Number|string} unlocked_by - ID of the user who unlocks the account
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	LoginAttempt.unlock(db, 45, 1)
+ */
+const unlock = async (db, user_id, unlocked_by) => {
+	const result = await db.query(`
+		UPDATE lockouts
+		SET unlocked_at = NOW(), unlocked_by = ?
+		WHERE user_id = ? AND unlocked_at IS NULL AND locked_until > NOW()
+	`, [unlocked_by, user_id]);
+
+	return result.affectedRows > 0
+		? result
+		: new ModelError(404, `Le compte de l'utilisateur "${user_id}" n'est pas verrouillé.`);
+};
+
+/*****************************************************
+ * Export
+ *****************************************************/
+
+const LoginAttempt = { add, lock, countFailures, getActiveLockout, getAllLockouts, getDelay, getRetryAfter, unlock };
+export default LoginAttempt;
\ No newline at end of file
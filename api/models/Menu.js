@@ -32,6 +32,7 @@ import Checkers from "../../global/Checkers.js";
  * @property {Number} price - Menu price
  * @property {string} [image_path] - Illustration
  * @property {Array<MenuFullIngredient>} ingredients - Ingredients
+ * @property {Array<MenuModifier>} modifiers - Options which can be chosen when ordering the menu
  */
 
 /**
@@ -62,6 +63,18 @@ import Checkers from "../../global/Checkers.js";
  * @property {Number} stock_units_unit_id - Stock unit ID of the unit associated to "units" property
  */
 
+/**
+ * A Menu modifier, an option chosen when ordering a menu (extra cheese, cooking level...)
+ * @typedef {Object} MenuModifier
+ * @see {@link module:models/Menu}
+ *
+ * @property {Number} modifier_id - ID of the modifier
+ * @property {Number} menu_id - ID of the menu
+ * @property {string} name - Modifier name
+ * @property {Number} price - How much the modifier adds to the price of the menu
+ * @property {string} [group_name] - Modifiers of a same group are exclusive (a single cooking level...)
+ */
+
 /*****************************************************
  * CRUD Methods
  *****************************************************/
@@ -162,6 +175,50 @@ const addIngredient = async (db, menu_id, name, units, units_unit_id) => {
 	return { ingredient_id: ingredient.insertId };
 };
 
+/**
+ * @async
+ * @function addModifier
+ * @description Add a modifier to a menu
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} menu_id - ID of the menu
+ * @param {string} name - Modifier name
+ * @param {Number} [price=0] - How much the modifier adds to the price of the menu
+ * @param {string} [group_name] - Group of exclusive modifiers
+ * @returns {Promise<{modifier_id: Number}|ModelError>} The newly added modifier ID or a ModelError
+ *
+ * @example
+ * 	Menu.addModifier(db, 7, "Supplément fromage", 1)
+ *Menu.addModifier(db, 7, "Saignant", 0, "Cuisson")
+ */
+const addModifier = async (db, menu_id, name, price = 0, group_name) => {
+	if (!Checkers.strInRange(name, 1, 255)) {
+		return new ModelError(400, "Vous devez fournir un nom valide. (max. 255 caractères).", ["name"]);
+	}
+
+	if (!Checkers.isGreaterThan(price, 0, true)) {
+		return new ModelError(400, "Vous devez fournir un prix valide.", ["price"]);
+	}
+
+	if (!Checkers.strInRange(group_name, 1, 255, true, true)) {
+		return new ModelError(400, "Le groupe ne peut pas dépasser 255 caractères.", ["group_name"]);
+	}
+
+	const menu = await db.query("SELECT menu_id FROM menus WHERE menu_id = ?", [menu_id]);
+
+	if (!menu[0]) {
+		return new ModelError(404, `Aucun menu n'a été trouvée avec l'ID "${menu_id}".`);
+	}
+
+	const modifier = await db.query(`
+		INSERT INTO menu_modifiers(menu_id, name, price, group_name)
+		VALUES (?, ?, ?, ?)
+	`, [menu_id, name, price, group_name ?? null]
+	);
+
+	return { modifier_id: modifier.insertId };
+};
+
 /* ---- READ ------------------------------------ */
 const validOrderBy = ["menu_id", "name", "type_id", "price"];
 
@@ -264,6 +321,54 @@ const getById = async (db, menu_id) => {
 	return fullMenu[0];
 };
 
+/**
+ * @async
+ * @function getIngredientById
+ * @description Get a menu ingredient by its ID
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} ingredient_id - ID of the ingredient
+ * @returns {Promise<MenuIngredient|ModelError>} An ingredient or a ModelError
+ *
+ * @example
+ * 	Menu.getIngredientById(db, 15)
+ */
+const getIngredientById = async (db, ingredient_id) => {
+	const ingredient = await db.query(`
+		SELECT ingredient_id, menu_id, stock_id, units, units_unit_id
+		FROM menu_ingredients
+		WHERE ingredient_id = ?
+	`, [ingredient_id]);
+
+	return ingredient[0]
+		? ingredient[0]
+		: new ModelError(404, `Aucun ingrédient n'a été trouvé avec l'ID "${ingredient_id}".`);
+};
+
+/**
+ * @async
+ * @function getModifierById
+ * @description Get a menu modifier by its ID
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} modifier_id - ID of the modifier
+ * @returns {Promise<MenuModifier|ModelError>} A modifier or a ModelError
+ *
+ * @example
+ * 	Menu.getModifierById(db, 3)
+ */
+const getModifierById = async (db, modifier_id) => {
+	const modifier = await db.query(`
+		SELECT modifier_id, menu_id, name, price, group_name
+		FROM menu_modifiers
+		WHERE modifier_id = ?
+	`, [modifier_id]);
+
+	return modifier[0]
+		? modifier[0]
+		: new ModelError(404, `Aucune option n'a été trouvée avec l'ID "${modifier_id}".`);
+};
+
 /**
  * @async
  * @function buildMenus
@@ -292,6 +397,7 @@ const buildMenus = async (db, menus) => {
 				price: menu.price,
 				image_path: menu.image_path,
 				ingredients: [],
+				modifiers: [],
 				how_much: null
 			};
 
@@ -321,15 +427,32 @@ const buildMenus = async (db, menus) => {
 		fullMenus.set(menu.menu_id, fullMenu);
 	};
 
+	const addModifiers = async () => {
+		if (fullMenus.size === 0) return;
+
+		const modifiers = await db.query(`
+			SELECT modifier_id, menu_id, name, price, group_name
+			FROM menu_modifiers
+			WHERE menu_id IN (?)
+			ORDER BY group_name, modifier_id
+		`, [Array.from(fullMenus.keys())]);
+
+		for (const modifier of modifiers) {
+			fullMenus.get(modifier.menu_id).modifiers.push(modifier);
+		}
+	};
+
 	if (Checkers.isArray(menus)) {
 		for (const menu of menus) {
 			await build(menu);
 		}
 
+		await addModifiers();
 		return Array.from(fullMenus).map(([_, menu]) => menu);
 	} else {
 		await build(menus);
 
+		await addModifiers();
 		return fullMenus.values().next().value;
 	}
 };
@@ -461,6 +584,52 @@ const updateIngredient = async (db, ingredient_id, name, units, units_unit_id) =
 	return db.query(`UPDATE menu_ingredients SET ${updatingFields} WHERE ingredient_id = ?`, [ingredient_id]);
 };
 
+/**
+ * @async
+ * @function updateModifier
+ * @description Update a menu modifier
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} modifier_id - ID of the modifier
+ * @param {string} [name] - Modifier name
+ * @param {Number} [price] - How much the modifier adds to the price of the menu
+ * @param {string} [group_name] - Group of exclusive modifiers, an empty string to remove it from its group
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	Menu.updateModifier(db, 3, null, 1.5, null)
+ */
+const updateModifier = async (db, modifier_id, name, price, group_name) => {
+	if (!Checkers.strInRange(name, 1, 255, true, true)) {
+		return new ModelError(400, "Vous devez fournir un nom valide. (max. 255 caractères).", ["name"]);
+	}
+
+	if (Checkers.isDefined(price) && !Checkers.isGreaterThan(price, 0, true)) {
+		return new ModelError(400, "Vous devez fournir un prix valide.", ["price"]);
+	}
+
+	if (!Checkers.strInRange(group_name, null, 255, true, true)) {
+		return new ModelError(400, "Le groupe ne peut pas dépasser 255 caractères.", ["group_name"]);
+	}
+
+	const modifier = await getModifierById(db, modifier_id);
+	if (modifier instanceof ModelError) return modifier;
+
+	if ([name, price, group_name].every(value => !Checkers.isDefined(value))) {
+		return new ModelError(200, "Rien à mettre à jour.");
+	}
+
+	return db.query(
+		"UPDATE menu_modifiers SET name = ?, price = ?, group_name = ? WHERE modifier_id = ?",
+		[
+			Checkers.isDefined(name) ? name : modifier.name,
+			Checkers.isDefined(price) ? price : modifier.price,
+			Checkers.isDefined(group_name) ? group_name || null : modifier.group_name,
+			modifier_id
+		]
+	);
+};
+
 /* ---- DELETE ---------------------------------- */
 /**
  * @async
@@ -494,6 +663,22 @@ const delIngredient = async (db, ingredient_id) => {
 	return db.query("DELETE FROM menu_ingredients WHERE ingredient_id = ?", [ingredient_id]);
 };
 
+/**
+ * @async
+ * @function deleteModifier
+ * @description Delete a menu modifier, the orders keep its name and price
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} modifier_id - ID of the modifier
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	Menu.deleteModifier(db, 3)
+ */
+const delModifier = async (db, modifier_id) => {
+	return db.query("DELETE FROM menu_modifiers WHERE modifier_id = ?", [modifier_id]);
+};
+
 /*****************************************************
  * Export
  *****************************************************/
@@ -501,13 +686,18 @@ const delIngredient = async (db, ingredient_id) => {
 const Menu = {
 	add,
 	addIngredient,
+	addModifier,
 	getById,
+	getIngredientById,
+	getModifierById,
 	getAll,
 	getAllNames,
 	update,
 	setIllustration,
 	updateIngredient,
+	updateModifier,
 	delete: del,
-	deleteIngredient: delIngredient
+	deleteIngredient: delIngredient,
+	deleteModifier: delModifier
 };
 export default Menu;
\ No newline at end of file
@@ -1,7 +1,8 @@
 /** @module models/Order */
-import { getFieldsToUpdate } from "../../global/Functions.js";
+import { getFieldsToUpdate, transaction } from "../../global/Functions.js";
 import Booking from "./Booking.js";
 import OrderMenus from "./OrderMenus.js";
+import Menu from "./Menu.js";
 import User from "./User.js";
 import ModelError from "../../global/ModelError.js";
 import Checkers from "../../global/Checkers.js";
@@ -14,6 +15,7 @@ import Checkers from "../../global/Checkers.js";
  * @property {Number} user_id - The user ID who made this order
  * @property {string} [additional_infos] - Additional information provided by the user
  * @property {Date|string} time - Time the order was added
+ * @property {Date|string} [pickup_time] - When a take away order will be picked up
  * @property {Number} total_price - Total price of this order
  * @property {Boolean} is_take_away - Is take away
  * @property {Boolean} is_finished - Does the waiter give this order
@@ -27,6 +29,7 @@ import Checkers from "../../global/Checkers.js";
  * @property {User} user - The user who made this order
  * @property {string} [additional_infos] - Additional information provided by the user
  * @property {Date|string} time - Time the order was added
+ * @property {Date|string} [pickup_time] - When a take away order will be picked up
  * @property {Number} total_price - Total price of this order
  * @property {Boolean} is_take_away - Is take away
  * @property {Boolean} is_finished - Does the waiter give this order
@@ -40,20 +43,25 @@ import Checkers from "../../global/Checkers.js";
 /**
  * @async
  * @function add
- * @description Add an order
+ * @description Add an order. Each line is a menu with a quantity, modifiers chosen among those of the menu and a
+ * note for the kitchen. Prices are never taken from the client: they are loaded from the menus and their modifiers and
+ * kept on each line of the order, so the price of a menu can change without changing the past orders. The order, its
+ * lines and the stock deduction are written in a single transaction.
  *
  * @param {Promise<void>} db - Database connection
  * @param {Number|string} [booking_id] - ID of the booking associated with this order
  * @param {Number|string} user_id - The user who made this order
  * @param {string} [additional_infos] - Additional information provided by the user
- * @param {Array<Menu>} menus - The menus of this order
+ * @param {Array<{menu_id: Number, quantity: Number, modifiers: Array<Number>, note: string}>} menus - The lines of
+ * this order: a menu, how many of it (1 by default), the IDs of the chosen modifiers and a note
  * @param {Boolean} is_take_away - Is take away
+ * @param {Date|string} [pickup_time] - When a take away order will be picked up
  * @returns {Promise<void|ModelError>} Nothing or a ModelError
  *
  * @example
- * 	Order.add(db, 94, 7, null, [<Menu>, <Menu>, ...], false)
+ * 	Order.add(db, 94, 7, null, [{ menu_id: 4, quantity: 3 }, { menu_id: 12, modifiers: [2], note: "Sans oignons" }], false)
  */
-const add = async (db, booking_id, user_id, additional_infos, menus, is_take_away) => {
+const add = async (db, booking_id, user_id, additional_infos, menus, is_take_away, pickup_time) => {
 	if (!Checkers.strInRange(additional_infos, null, 1000, true, true)) {
 		return new ModelError(400, "Les informations complémentaires ne peuvent pas dépasser 255 caractères.", ["additional_infos"]);
 	}
@@ -65,18 +73,46 @@ const add = async (db, booking_id, user_id, additional_infos, menus, is_take_awa
 		return new ModelError(400, `L'ID utilisateur "${user_id} ne correspond à personne."`);
 	}
 
-	// Get the price
-	let price = 0;
-	menus.map(menu => price += menu.price);
+	if (!Checkers.isArray(menus) || menus.length === 0) {
+		return new ModelError(400, "Vous devez fournir une liste de menus valide.", ["menus"]);
+	}
+
+	// Get the menus and their price, whatever the client sent
+	const loadedMenus = new Map();
+	const orderedMenus = [];
+
+	for (const menu of menus) {
+		if (!menu || !Checkers.isDefined(menu.menu_id)) {
+			return new ModelError(400, "Chaque menu commandé doit avoir un ID.", ["menus"]);
+		}
+
+		if (!loadedMenus.has(`${menu.menu_id}`)) {
+			const loadedMenu = await Menu.getById(db, menu.menu_id);
+			if (loadedMenu instanceof ModelError) return loadedMenu;
+
+			loadedMenus.set(`${menu.menu_id}`, loadedMenu);
+		}
+
+		const line = OrderMenus.getOrderLine(loadedMenus.get(`${menu.menu_id}`), menu);
+		if (line instanceof ModelError) return line;
+
+		orderedMenus.push(line);
+	}
+
+	const price = orderedMenus.reduce((total, menu) => total + menu.price * menu.quantity, 0);
 
 	// Add the order
-	const order = await db.query(`
-		INSERT INTO orders(booking_id, user_id, additional_infos, total_price, is_take_away, is_finished)
-		VALUES (?, ?, ?, ?, ? ,?)`, [booking_id ? booking_id : null, user_id, additional_infos ? additional_infos : null, price, is_take_away, false]
-	);
-	const orderId = order.insertId;
+	return transaction(db, async () => {
+		const order = await db.query(`
+			INSERT INTO orders(booking_id, user_id, additional_infos, total_price, is_take_away, is_finished, pickup_time)
+			VALUES (?, ?, ?, ?, ? ,?, ?)`, [booking_id ? booking_id : null, user_id, additional_infos ? additional_infos : null, price, is_take_away, false, pickup_time ? pickup_time : null]
+		);
 
-	return OrderMenus.addMultiple(db, orderId, menus);
+		const orderMenus = await OrderMenus.addMultiple(db, order.insertId, orderedMenus);
+		if (orderMenus instanceof ModelError) return orderMenus;
+
+		return order;
+	});
 };
 
 /* ---- READ ---------------------------------- */
@@ -100,6 +136,7 @@ const getById = async (db, order_id) => {
 			user_id,
 			additional_infos,
 			time,
+			pickup_time,
 			total_price,
 			is_take_away,
 			is_finished
@@ -134,6 +171,7 @@ const getByUserId = async (db, user_id) => {
     	user_id,
     	additional_infos,
     	time,
+    	pickup_time,
     	total_price,
     	is_take_away,
     	is_finished
@@ -164,6 +202,7 @@ const getByBookingId = async (db, booking_id) => {
     	user_id,
     	additional_infos,
     	time,
+    	pickup_time,
     	total_price,
     	is_take_away,
     	is_finished
@@ -193,6 +232,7 @@ const getAll = async db => {
     user_id,
     additional_infos,
     time,
+    pickup_time,
    	total_price,
     is_take_away,
     is_finished
@@ -222,6 +262,7 @@ const getAllToday = async db => {
     user_id,
     additional_infos,
     time,
+    pickup_time,
    	total_price,
     is_take_away,
     is_finished
@@ -235,6 +276,23 @@ const getAllToday = async db => {
 	return buildOrders(db, orders);
 };
 
+/**
+ * @async
+ * @function getOwnerId
+ * @description Get the ID of the user who made an order
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} order_id - ID of the order
+ * @returns {Promise<Number|null|undefined>} The user ID, null if the order has no owner or undefined if the order doesn't exist
+ *
+ * @example
+ * 	Order.getOwnerId(db, 30)
+ */
+const getOwnerId = async (db, order_id) => {
+	const order = await db.query("SELECT user_id FROM orders WHERE order_id = ? LIMIT 1", [order_id]);
+	return order[0] ? order[0].user_id : undefined;
+};
+
 /**
  * @async
  * @function buildOrders
@@ -254,7 +312,7 @@ const buildOrders = async (db, orders) => {
 		let booking = await Booking.getById(db, order.booking_id);
 		booking = booking instanceof ModelError ? null : {
 			booking_id: booking.booking_id,
-			user_id: booking.user.user_id,
+			user_id: booking.user ? booking.user.user_id : null,
 			table_id: booking.table.table_id,
 			time: booking.time,
 			clients_nb: booking.clients_nb
@@ -274,7 +332,8 @@ const buildOrders = async (db, orders) => {
 			total_price: order.total_price,
 			is_take_away: order.is_take_away,
 			is_finished: order.is_finished,
-			time: order.time
+			time: order.time,
+			pickup_time: order.pickup_time
 		};
 	};
 
@@ -295,24 +354,23 @@ const buildOrders = async (db, orders) => {
 /**
  * @async
  * @function update
- * @description Update an order using its ID
+ * @description Update an order using its ID. Its total price can't be changed: it is computed from its menus.
  *
  * @param {Promise<void>} db - Database connection
  * @param {Number|string} order_id - ID of the order
  * @param {string} [additional_infos] - Additional information provided by the user
- * @param {Number} [total_price] - Total price of this order
  * @param {Boolean} [is_finished] - Does the waiter give this order
  * @returns {Promise<void|ModelError>} Nothing or a ModelError
  *
  * @example
- * 	Order.update(db, 41, "J'aime pas la salade", null, null, null)
+ * 	Order.update(db, 41, "J'aime pas la salade", null)
  */
-const update = async (db, order_id, additional_infos, total_price, is_finished) => {
+const update = async (db, order_id, additional_infos, is_finished) => {
 	if (!Checkers.strInRange(additional_infos, null, 1000, true, true)) {
 		return new ModelError(400, "Les informations complémentaires ne peuvent pas dépasser 255 caractères.", ["additional_infos"]);
 	}
 
-	const updatingFields = getFieldsToUpdate({ additional_infos, total_price, is_finished });
+	const updatingFields = getFieldsToUpdate({ additional_infos, is_finished });
 	if (!updatingFields) return new ModelError(200, "Rien à mettre à jour.");
 
 	return db.query(`UPDATE orders SET ${updatingFields} WHERE order_id = ?`, [order_id]);
@@ -339,5 +397,5 @@ const del = async (db, order_id) => {
  * Export
  *****************************************************/
 
-const Order = { add, getById, getByUserId, getByBookingId, getAll, getAllToday, update, delete: del };
+const Order = { add, getById, getByUserId, getByBookingId, getAll, getAllToday, getOwnerId, update, delete: del };
 export default Order;
\ No newline at end of file
@@ -12,8 +12,79 @@ import Stock from "./Stock.js";
  * @property {Number} content_id - ID used only in the database
  * @property {Number} order_id - ID of the order which contains a menu
  * @property {Number} menu_id - ID of the menu in the order
+ * @property {Number} unit_price - Price of one menu when it was ordered, its modifiers included
+ * @property {Number} quantity - How many of this menu are ordered
+ * @property {string} [note] - Note for the kitchen about this line ("sans oignons"...)
+ */
+
+/**
+ * A line to add in an order: a menu as loaded from the database, with what the client chose
+ * @typedef {MenuFull} OrderLine
+ * @see {@link module:models/Menu}
+ *
+ * @property {Number} price - Price of one menu, its modifiers included
+ * @property {Number} quantity - How many of this menu are ordered
+ * @property {string} [note] - Note for the kitchen about this line
+ * @property {Array<MenuModifier>} chosen_modifiers - The modifiers chosen by the client
  */
 
+/*****************************************************
+ * Functions
+ *****************************************************/
+
+/**
+ * @function getOrderLine
+ * @description Check what the client chose for an ordered menu and compute the price of one menu with its modifiers.
+ * Only one modifier of each group can be chosen.
+ *
+ * @param {MenuFull} menu - The menu, as loaded from the database
+ * @param {{quantity: Number, modifiers: Array<Number>, note: string}} choice - What the client chose
+ * @returns {OrderLine|ModelError} The line to add in the order or a ModelError
+ *
+ * @example
+ * 	OrderMenus.getOrderLine(<MenuFull>, { quantity: 2, modifiers: [4, 7], note: "Sans oignons" })
+ */
+const getOrderLine = (menu, choice) => {
+	const quantity = Checkers.isDefined(choice.quantity) ? choice.quantity : 1;
+	const modifiers_ids = Checkers.isDefined(choice.modifiers) ? choice.modifiers : [];
+
+	if (!Number.isInteger(quantity) || quantity < 1) {
+		return new ModelError(400, `Vous devez fournir une quantité valide pour "${menu.name}".`, ["menus"]);
+	}
+
+	if (!Checkers.strInRange(choice.note, null, 255, true, true)) {
+		return new ModelError(400, "La note d'un plat ne peut pas dépasser 255 caractères.", ["menus"]);
+	}
+
+	if (!Checkers.isArray(modifiers_ids) || new Set(modifiers_ids.map(id => `${id}`)).size !== modifiers_ids.length) {
+		return new ModelError(400, `Vous devez fournir une liste d'options valide pour "${menu.name}".`, ["menus"]);
+	}
+
+	const chosenModifiers = [];
+
+	for (const modifier_id of modifiers_ids) {
+		const modifier = menu.modifiers.find(modifier => `${modifier.modifier_id}` === `${modifier_id}`);
+
+		if (!modifier) {
+			return new ModelError(400, `L'option "${modifier_id}" n'existe pas pour "${menu.name}".`, ["menus"]);
+		}
+
+		if (modifier.group_name && chosenModifiers.some(chosen => chosen.group_name === modifier.group_name)) {
+			return new ModelError(400, `Une seule option "${modifier.group_name}" peut être choisie pour "${menu.name}".`, ["menus"]);
+		}
+
+		chosenModifiers.push(modifier);
+	}
+
+	return {
+		...menu,
+		price: chosenModifiers.reduce((total, modifier) => total + modifier.price, menu.price),
+		quantity,
+		note: choice.note ? choice.note.trim() || null : null,
+		chosen_modifiers: chosenModifiers
+	};
+};
+
 /*****************************************************
  * CRUD Methods
  *****************************************************/
@@ -22,35 +93,38 @@ import Stock from "./Stock.js";
 /**
  * @async
  * @function addMultiple
- * @description Add menus in an order
+ * @description Add lines in an order, with their current price. The name and price of the chosen modifiers are
+ * kept on each line.
  *
  * @param {Promise<void>} db - Database connection
  * @param {Number} order_id - ID of the order which contains a menu
- * @param {Array<Menu>} menus - The list of menus to add to this order
+ * @param {Array<OrderLine>} menus - The lines to add to this order
  * @returns {Promise<void|ModelError>} Nothing or a ModelError
  *
  * @example
- * 	OrderMenus.addMultiple(db, 41, [<Menu>, <Menu>, ...])
+ * 	OrderMenus.addMultiple(db, 41, [<OrderLine>, <OrderLine>, ...])
  */
 const addMultiple = async (db, order_id, menus) => {
 	if (!Checkers.isArray(menus)) {
 		return new ModelError(400, "Vous devez fournir une liste de menus valide.");
 	}
 
-	// Add menus
-	const valuesPlaceholders = [];
-	const values = [];
-
-	menus.map(menu => {
-		valuesPlaceholders.push("(?, ?)");
-		values.push(order_id, menu.menu_id);
-	});
+	// Add lines, one by one to link their modifiers
+	for (const menu of menus) {
+		const line = await db.query(`
+			INSERT INTO orders_menus(order_id, menu_id, unit_price, quantity, note)
+			VALUES (?, ?, ?, ?, ?)
+			`, [order_id, menu.menu_id, menu.price, menu.quantity, menu.note ?? null]
+		);
 
-	await db.query(`
-		INSERT INTO orders_menus(order_id, menu_id)
-		VALUES ${valuesPlaceholders.join(", ")}
-		`, values
-	);
+		for (const modifier of menu.chosen_modifiers) {
+			await db.query(`
+				INSERT INTO orders_menus_modifiers(content_id, modifier_id, name, price)
+				VALUES (?, ?, ?, ?)
+				`, [line.insertId, modifier.modifier_id, modifier.name, modifier.price]
+			);
+		}
+	}
 
 	// Reduce stock
 	return await Stock.reduce(db, menus);
@@ -77,7 +151,10 @@ const getAllByUserId = async (db, user_id) => {
 			menus.name,
 			mt.type_id,
 			mt.name AS "type",
-			menus.price,
+			om.unit_price AS "price",
+			om.content_id,
+			om.quantity,
+			om.note,
 			orders.is_finished,
 			om.is_waiting AS "is_menu_waiting",
 			om.asking_time AS "menu_asking_time",
@@ -95,7 +172,8 @@ const getAllByUserId = async (db, user_id) => {
 /**
  * @async
  * @function getAllWaiting
- * @description Get every waiting menus (with count) and his order id
+ * @description Get every waiting line (with its quantity, note and modifiers) and its order id. Lines of a same menu
+ * are not merged since their modifiers and notes can differ.
  *
  * @param {Promise<void>} db - Database connection
  * @returns {Promise<Array<*>|ModelError>} A list of all menus or a ModelError
@@ -104,13 +182,15 @@ const getAllByUserId = async (db, user_id) => {
  * 	OrderMenus.getAllWaiting(db)
  */
 const getAllWaiting = async (db) => {
-	return await db.query(`
+	const menus = await db.query(`
   	SELECT
-			COUNT(orders_menus.menu_id) AS menu_count,
+			orders_menus.quantity AS menu_count,
+			orders_menus.content_id,
 			orders_menus.menu_id,
 			orders_menus.order_id,
 			orders_menus.asking_time,
   	  orders_menus.is_finished AS "is_menu_finished",
+			orders_menus.note,
 			menu_types.name AS type,
 			menus.type_id,
   	  menus.name
@@ -118,7 +198,10 @@ const getAllWaiting = async (db) => {
 	WHERE orders_menus.is_waiting = TRUE
 		AND menus.menu_id = orders_menus.menu_id
 		AND menu_types.type_id = menus.type_id
-	GROUP BY orders_menus.menu_id, orders_menus.order_id`);
+	ORDER BY orders_menus.asking_time, orders_menus.content_id`);
+
+	const modifiers = await getModifiers(db, menus.map(menu => menu.content_id));
+	return menus.map(menu => ({ ...menu, modifiers: modifiers.get(menu.content_id) || [] }));
 };
 
 /**
@@ -141,7 +224,10 @@ const getBookingMenusByUserId = async (db, user_id) => {
 			menus.name,
 			mt.type_id,
 			mt.name AS "type",
-			menus.price,
+			om.unit_price AS "price",
+			om.content_id,
+			om.quantity,
+			om.note,
 			orders.is_finished,
 			om.is_waiting AS "is_menu_waiting",
 			om.asking_time AS "menu_asking_time",
@@ -177,7 +263,10 @@ const getBookingMenusByBookingId = async (db, booking_id) => {
 			menus.name,
 			mt.type_id,
 			mt.name AS "type",
-			menus.price,
+			om.unit_price AS "price",
+			om.content_id,
+			om.quantity,
+			om.note,
 			orders.is_finished,
             om.is_waiting AS "is_menu_waiting",
             om.asking_time AS "menu_asking_time",
@@ -213,7 +302,10 @@ const getAllByOrderId = async (db, order_id) => {
 			menus.name,
 			mt.type_id,
 			mt.name AS "type",
-			menus.price,
+			om.unit_price AS "price",
+			om.content_id,
+			om.quantity,
+			om.note,
 			orders.is_finished,
             om.is_waiting AS "is_menu_waiting",
             om.asking_time AS "menu_asking_time",
@@ -228,6 +320,39 @@ const getAllByOrderId = async (db, order_id) => {
 	return buildOrderMenus(db, menus);
 };
 
+/**
+ * @ignore
+ * @async
+ * @function getModifiers
+ * @description Get the modifiers chosen for order lines
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Array<Number>} content_ids - IDs of the lines
+ * @returns {Promise<Map<Number, Array<{modifier_id: Number, name: string, price: Number}>>>} The modifiers, by line ID
+ *
+ * @example
+ * 	getModifiers(db, [41, 42])
+ */
+const getModifiers = async (db, content_ids) => {
+	const linesModifiers = new Map();
+	const ids = content_ids.filter(id => Checkers.isDefined(id));
+	if (ids.length === 0) return linesModifiers;
+
+	const modifiers = await db.query(`
+		SELECT content_id, modifier_id, name, price
+		FROM orders_menus_modifiers
+		WHERE content_id IN (?)
+		ORDER BY line_modifier_id
+	`, [ids]);
+
+	for (const { content_id, ...modifier } of modifiers) {
+		if (!linesModifiers.has(content_id)) linesModifiers.set(content_id, []);
+		linesModifiers.get(content_id).push(modifier);
+	}
+
+	return linesModifiers;
+};
+
 /**
  * @async
  * @function buildOrderMenus
@@ -242,6 +367,8 @@ const getAllByOrderId = async (db, order_id) => {
  *Order.buildOrderMenus(db, <OrderMenu>)
  */
 const buildOrderMenus = async (db, menus) => {
+	const modifiers = await getModifiers(db, (Checkers.isArray(menus) ? menus : [menus]).map(menu => menu.content_id));
+
 	const build = async menu => {
 		return {
 			order_id: menu.order_id,
@@ -250,6 +377,9 @@ const buildOrderMenus = async (db, menus) => {
 			type: menu.type,
 			type_id: menu.type_id,
 			price: menu.price,
+			quantity: menu.quantity,
+			note: menu.note,
+			modifiers: modifiers.get(menu.content_id) || [],
 			is_finished: menu.is_finished,
 			is_menu_waiting: menu.is_menu_waiting,
 			menu_asking_time: menu.menu_asking_time,
@@ -317,5 +447,5 @@ const updateMenuToWaitingByOrder = async (db, order_id, menu_id) => {
  * Export
  *****************************************************/
 
-const OrderMenus = { addMultiple, getAllByUserId, getAllWaiting, getBookingMenusByUserId, getBookingMenusByBookingId, getAllByOrderId, updateMenusToReadyByOrder, updateMenuToWaitingByOrder };
+const OrderMenus = { getOrderLine, addMultiple, getAllByUserId, getAllWaiting, getBookingMenusByUserId, getBookingMenusByBookingId, getAllByOrderId, updateMenusToReadyByOrder, updateMenuToWaitingByOrder };
 export default OrderMenus;
\ No newline at end of file
@@ -3,7 +3,9 @@ import ModelError from "../../global/ModelError.js";
 import SalesStatistics from "./SalesStatistics.js";
 import Booking from "./Booking.js";
 import Order from "./Order.js";
-import Table from "./Table.js";
+import Schedule from "./Schedule.js";
+import Checkers from "../../global/Checkers.js";
+import { transaction } from "../../global/Functions.js";
 
 /*****************************************************
  * CRUD Methods
@@ -13,50 +15,68 @@ import Table from "./Table.js";
 /**
  * @async
  * @function payTakeAway
- * @description Pay a take away order
+ * @description Pay a take away order. It must be picked up during a service of the restaurant. The order and the
+ * sales statistics are written in a single transaction.
+ * @see {@link module:models/Schedule}
  *
  * @param {Promise<void>} db - Database connection
  * @param {Number|string} user_id - The user who made this order
  * @param {string} [additional_infos] - Additional information provided by the user
- * @param {Array<Menu>} menus - The menus of this order
+ * @param {Array<{menu_id: Number, quantity: Number, modifiers: Array<Number>, note: string}>} menus - The lines of
+ * this order, as given to Order.add
+ * @param {Date|string} [pickup_time=now] - When the order will be picked up
  * @returns {Promise<void|ModelError>} Nothing or a ModelError
  *
  * @example
- * 	Payment.payTakeAway(db, 7, null, [<Menu>, <Menu>, ...])
+ * 	Payment.payTakeAway(db, 7, null, [{ menu_id: 4, quantity: 2 }, { menu_id: 12, modifiers: [3] }], "2021-06-03 12:30:00")
  */
-const payTakeAway = async (db, user_id, additional_infos, menus) => {
-	// Create the order
-	const order = await Order.add(db, null, user_id, additional_infos, menus, true);
+const payTakeAway = async (db, user_id, additional_infos, menus, pickup_time) => {
+	const pickupTime = Checkers.isDefined(pickup_time) ? new Date(pickup_time) : new Date();
 
-	if (order instanceof ModelError) {
-		return new ModelError(400, `Erreur lors du paiement : ${order.message()}`);
+	if (!Checkers.isDate(pickupTime) || pickupTime < new Date(Date.now() - 60000)) {
+		return new ModelError(400, "Vous devez fournir une heure de retrait valide.", ["pickup_time"]);
 	}
 
-	const benefits = menus.reduce((previousValue, currentValue) => {
-		return previousValue + currentValue.price;
-	}, 0);
+	if (!await Schedule.getService(db, pickupTime)) {
+		return new ModelError(400, "Le restaurant est fermé à cette heure de retrait.", ["pickup_time"]);
+	}
 
-	// Update today stats
-	const stats = await SalesStatistics.addBenefits(db, benefits);
+	return transaction(db, async () => {
+		// Create the order
+		const order = await Order.add(db, null, user_id, additional_infos, menus, true, pickupTime);
 
-	if (stats instanceof ModelError) {
-		return new ModelError(400, `Erreur lors du paiement : ${stats.message()}`);
-	}
+		if (order instanceof ModelError) {
+			return new ModelError(400, `Erreur lors du paiement : ${order.message()}`);
+		}
+
+		// The price of the order is computed from the menus
+		const { total_price: benefits } = await Order.getById(db, order.insertId);
+
+		// Update today stats
+		const stats = await SalesStatistics.addBenefits(db, benefits);
+
+		if (stats instanceof ModelError) {
+			return new ModelError(400, `Erreur lors du paiement : ${stats.message()}`);
+		}
+	});
 };
 
 /**
  * @async
  * @function payBooking
- * @description Pay a booking
+ * @description Pay a booking whose clients asked for the bill. The booking, its tables and the sales statistics are
+ * written in a single transaction. The freed tables are only offered to the waitlist once it is committed.
+ * @see {@link module:models/Booking.setStatus}
  *
  * @param {Promise<void>} db - Database connection
  * @param {Number|string} booking_id - ID of the booking
+ * @param {Number|string} [user_id] - ID of the user who pays
  * @returns {Promise<void|ModelError>} Nothing or a ModelError
  *
  * @example
- * 	Payment.payBooking(db, 42)
+ * 	Payment.payBooking(db, 42, 1)
  */
-const payBooking = async (db, booking_id) => {
+const payBooking = async (db, booking_id, user_id) => {
 	// Get the booking
 	const booking = await Booking.getById(db, booking_id);
 
@@ -68,33 +88,26 @@ const payBooking = async (db, booking_id) => {
 		return new ModelError(400, "Erreur lors du paiement : La réservation a déjà été payée.");
 	}
 
-	// Update the booking
-	const bookingUpdate = await Booking.update(
-		db, booking_id, null, null, null, false, false, true, true
-	);
+	return transaction(db, async () => {
+		// Update the booking
+		const bookingUpdate = await Booking.setStatus(db, booking_id, "paid", user_id);
 
-	if (bookingUpdate instanceof ModelError) {
-		return new ModelError(400, `Erreur lors du paiement : ${bookingUpdate.message()}`);
-	}
-
-	// Free the table
-	const tableUpdate = await Table.update(db, booking.table.table_id, null, null, true, null);
+		if (bookingUpdate instanceof ModelError) {
+			return new ModelError(400, `Erreur lors du paiement : ${bookingUpdate.message()}`);
+		}
 
-	if (tableUpdate instanceof ModelError) {
-		return new ModelError(400, `Erreur lors du paiement : ${tableUpdate.message()}`);
-	}
+		const orders = await Order.getByBookingId(db, booking_id);
+		const benefits = orders.reduce((previousValue, currentValue) => {
+			return previousValue + currentValue.total_price;
+		}, 0);
 
-	const orders = await Order.getByBookingId(db, booking_id);
-	const benefits = orders.reduce((previousValue, currentValue) => {
-		return previousValue + currentValue.total_price;
-	}, 0);
+		// Update today stats
+		const stats = await SalesStatistics.addBenefits(db, benefits);
 
-	// Update today stats
-	const stats = await SalesStatistics.addBenefits(db, benefits);
-
-	if (stats instanceof ModelError) {
-		return new ModelError(400, `Erreur lors du paiement : ${stats.message()}`);
-	}
+		if (stats instanceof ModelError) {
+			return new ModelError(400, `Erreur lors du paiement : ${stats.message()}`);
+		}
+	});
 };
 
 /*****************************************************
@@ -1,5 +1,6 @@
 /** @module models/Role */
 import ModelError from "../../global/ModelError.js";
+import Checkers from "../../global/Checkers.js";
 
 /**
  * A Role
@@ -7,6 +8,7 @@ import ModelError from "../../global/ModelError.js";
  * @property {Number} role_id - ID of the role
  * @property {string} name - Role name
  * @property {string} display_name - A translated role name used for display purpose only
+ * @property {Number} level - Position of the role in the hierarchy (customer < waiter/cook < owner)
  */
 
 /*****************************************************
@@ -34,7 +36,8 @@ const getByName = async (db, name) => {
 			CASE
 				WHEN display_name IS NULL THEN name
 				ELSE display_name
-			END AS "display_name"
+			END AS "display_name",
+			level
 		FROM roles
 		WHERE name = ?
 		LIMIT 1`
@@ -62,15 +65,45 @@ const getAll = async db => {
 			CASE
 				WHEN display_name IS NULL THEN name
 				ELSE display_name
-			END AS "display_name"
+			END AS "display_name",
+			level
 		FROM roles
 		ORDER BY role_id
 	`);
 };
 
+/**
+ * @async
+ * @function isAllowed
+ * @description Check if a role is allowed where one of the required roles is needed. A role is allowed if it is one
+ * of the required roles or if it is strictly higher in the hierarchy than one of them. Thus an owner is allowed
+ * wherever a cook is required, but a waiter is not.
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string} name - Name of the role to check
+ * @param {Array<string>|string} requiredNames - Names of the required roles
+ * @returns {Promise<Boolean>}
+ *
+ * @example
+ * 	Role.isAllowed(db, "owner", "cook") // return true
+ *Role.isAllowed(db, "waiter", ["cook"]) // return false
+ *Role.isAllowed(db, "waiter", ["waiter", "cook"]) // return true
+ */
+const isAllowed = async (db, name, requiredNames) => {
+	const required = Checkers.isArray(requiredNames) ? requiredNames : [requiredNames];
+	if (required.includes(name)) return true;
+	if (required.length === 0) return false;
+
+	const role = await getByName(db, name);
+	if (role instanceof ModelError) return false;
+
+	const requiredRoles = await db.query("SELECT name, level FROM roles WHERE name IN (?)", [required]);
+	return requiredRoles.some(requiredRole => role.level > requiredRole.level);
+};
+
 /*****************************************************
  * Export
  *****************************************************/
 
-const Role = { getByName, getAll };
+const Role = { getByName, getAll, isAllowed };
 export default Role;
\ No newline at end of file
@@ -1,12 +1,13 @@
 /** @module models/SalesStatistics */
 import Checkers from "../../global/Checkers.js";
 import ModelError from "../../global/ModelError.js";
+import Schedule from "./Schedule.js";
 
 /**
  * A sale statistic
  * @typedef {Object} SaleStatistic
  * @property {Number} stat_id - ID of the statistic
- * @property {Date} day - Which day is corresponding to that statistic
+ * @property {Date} day - Which day is corresponding to that statistic, the day its service started
  * @property {Number} benefits - How much this day bring in
  */
 
@@ -19,23 +20,26 @@ import ModelError from "../../global/ModelError.js";
  * @ignore
  * @async
  * @function addTodayStat
- * @description Add a row for today in the table
+ * @description Add a row for a day in the table
  *
  * @param {Promise<void>} db - Database connection
+ * @param {string} day - The day ("YYYY-MM-DD")
  * @returns {Promise<Number>} The id of the newly inserted row
  *
  * @example
- * 	SalesStatistics.addTodayStat(db)
+ * 	SalesStatistics.addTodayStat(db, "2021-06-03")
  */
-const addTodayStat = async (db) => {
-	const stat = await db.query("INSERT INTO sales_statistics VALUES ()");
+const addTodayStat = async (db, day) => {
+	const stat = await db.query("INSERT INTO sales_statistics(day) VALUES (?)", [day]);
 	return stat.insertId;
 };
 
 /**
  * @async
  * @function addBenefits
- * @description Add benefits the the current day statistics
+ * @description Add benefits the the current day statistics. During a service which ends after midnight, the current
+ * day is the day the service started.
+ * @see {@link module:models/Schedule}
  *
  * @param {Promise<void>} db - Database connection
  * @param {Number} benefits - How much you add to the current benefits
@@ -112,7 +116,7 @@ const getWeek = async (db) => {
  * @ignore
  * @async
  * @function getCurrDayId
- * @description Get the stat ID for today
+ * @description Get the stat ID for the current day of service
  *
  * @param {Promise<void>} db - Database connection
  * @returns {Promise<Number>} Today stat ID
@@ -121,17 +125,18 @@ const getWeek = async (db) => {
  * 	SalesStatistics.getCurrDayId(db)
  */
 const getCurrDayId = async (db) => {
+	const day = await Schedule.getServiceDay(db);
 	const stat = await db.query(`
 		SELECT
 			stat_id,
 			day,
 			benefits
 		FROM sales_statistics
-		WHERE day = CURDATE()
+		WHERE day = ?
 		LIMIT 1
-	`);
+	`, [day]);
 
-	return stat[0] ? stat[0].stat_id : await addTodayStat(db);
+	return stat[0] ? stat[0].stat_id : await addTodayStat(db, day);
 };
 
 /*****************************************************
@@ -0,0 +1,651 @@
+/**
+ * @module models/Schedule
+ * @description The schedule of the restaurant: weekly services (lunch and dinner) and exceptional closures or
+ * holidays. Bookings, take away orders and statistics rely on it.
+ */
+import ModelError from "../../global/ModelError.js";
+import Checkers from "../../global/Checkers.js";
+
+/**
+ * A weekly service
+ * @typedef {Object} Service
+ * @property {Number} service_id - ID of the service
+ * @property {Number} day_of_week - Day of the week, from 0 (Sunday) to 6 (Saturday)
+ * @property {string} name - Name of the service (lunch or dinner)
+ * @property {string} start_time - When the service starts ("HH:MM:SS")
+ * @property {string} end_time - When the service ends ("HH:MM:SS"), lower than start_time if it ends after midnight
+ */
+
+/**
+ * A service on a given day
+ * @typedef {Object} DayService
+ * @property {Number} service_id - ID of the service
+ * @property {string} name - Name of the service (lunch or dinner)
+ * @property {string} day - Day of the service ("YYYY-MM-DD"), the day it starts
+ * @property {Date} start - When the service starts
+ * @property {Date} end - When the service ends
+ */
+
+/**
+ * An exceptional closure
+ * @typedef {Object} Closure
+ * @property {Number} closure_id - ID of the closure
+ * @property {string} type - Type of the closure (closure or holiday)
+ * @property {Date|string} start_date - First closed day
+ * @property {Date|string} end_date - Last closed day
+ * @property {string} [reason] - Why the restaurant is closed
+ */
+
+/**
+ * @ignore
+ * @description Valid names of a service
+ * @type {Array<string>}
+ */
+const serviceNames = ["lunch", "dinner"];
+
+/**
+ * @ignore
+ * @description Valid types of a closure
+ * @type {Array<string>}
+ */
+const closureTypes = ["closure", "holiday"];
+
+/*****************************************************
+ * Functions
+ *****************************************************/
+
+/**
+ * @ignore
+ * @function isTime
+ * @description Check if a value is a valid time of the day ("HH:MM" or "HH:MM:SS")
+ *
+ * @param {*} value - The value to test
+ * @returns {Boolean}
+ *
+ * @example
+ * 	isTime("19:30") // return true
+ */
+const isTime = value => Checkers.isString(value) && /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(value);
+
+/**
+ * @ignore
+ * @function toMinutes
+ * @description Convert a time of the day to minutes since midnight
+ *
+ * @param {string} time - The time ("HH:MM" or "HH:MM:SS")
+ * @returns {Number}
+ *
+ * @example
+ * 	toMinutes("19:30") // return 1170
+ */
+const toMinutes = time => {
+	const [hours, minutes] = time.split(":");
+	return hours * 60 + minutes * 1;
+};
+
+/**
+ * @ignore
+ * @function toDay
+ * @description Format a date as a day ("YYYY-MM-DD") in the local time zone
+ *
+ * @param {Date} date - The date
+ * @returns {string}
+ *
+ * @example
+ * 	toDay(new Date(2021, 5, 3)) // return "2021-06-03"
+ */
+const toDay = date => {
+	const pad = value => `${value}`.padStart(2, "0");
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * @ignore
+ * @function parseDay
+ * @description Parse a day ("YYYY-MM-DD") in the local time zone
+ *
+ * @param {*} day - The day
+ * @returns {Date|null} The date at midnight or null if the day is invalid
+ *
+ * @example
+ * 	parseDay("2021-06-03")
+ */
+const parseDay = day => {
+	if (Checkers.isDate(day)) return new Date(day.getFullYear(), day.getMonth(), day.getDate());
+	if (!Checkers.isString(day) || !/^\d{4}-\d{2}-\d{2}$/.test(day)) return null;
+
+	const date = new Date(`${day}T00:00:00`);
+	return Checkers.isDate(date) && toDay(date) === day ? date : null;
+};
+
+/**
+ * @ignore
+ * @function checkService
+ * @description Check the fields of a service
+ *
+ * @param {Number|string} day_of_week - Day of the week
+ * @param {string} name - Name of the service
+ * @param {string} start_time - When the service starts
+ * @param {string} end_time - When the service ends
+ * @returns {ModelError|null} A ModelError or null if everything is valid
+ *
+ * @example
+ * 	checkService(5, "dinner", "19:00", "23:00")
+ */
+const checkService = (day_of_week, name, start_time, end_time) => {
+	if (!/^[0-6]$/.test(`${day_of_week}`)) {
+		return new ModelError(400, "Vous devez fournir un jour de la semaine valide (de 0 pour dimanche à 6 pour samedi).", ["day_of_week"]);
+	}
+
+	if (!serviceNames.includes(name)) {
+		return new ModelError(400, `Vous devez fournir un service valide (${serviceNames.join(", ")}).`, ["name"]);
+	}
+
+	if (!isTime(start_time)) {
+		return new ModelError(400, "Vous devez fournir une heure de début valide (HH:MM).", ["start_time"]);
+	}
+
+	if (!isTime(end_time) || toMinutes(end_time) === toMinutes(start_time)) {
+		return new ModelError(400, "Vous devez fournir une heure de fin valide (HH:MM).", ["end_time"]);
+	}
+
+	return null;
+};
+
+/**
+ * @ignore
+ * @async
+ * @function isOverlapping
+ * @description Check if a service overlaps another service of the same day, or a service of the day before or the
+ * day after: a service which ends after midnight runs into the next day.
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} [service_id] - ID of the service to ignore
+ * @param {Number|string} day_of_week - Day of the week
+ * @param {string} start_time - When the service starts
+ * @param {string} end_time - When the service ends
+ * @returns {Promise<Boolean>}
+ *
+ * @example
+ * 	isOverlapping(db, null, 5, "19:00", "23:00")
+ */
+const isOverlapping = async (db, service_id, day_of_week, start_time, end_time) => {
+	const day = 24 * 60;
+	const week = 7 * day;
+
+	// Minutes since the start of the week, the end being on the next day if it's not after the start
+	const getRange = (dayOfWeek, start, end) => {
+		const startMinutes = dayOfWeek * day + toMinutes(start);
+		const endMinutes = dayOfWeek * day + toMinutes(end);
+
+		return [startMinutes, endMinutes > startMinutes ? endMinutes : endMinutes + day];
+	};
+
+	const [start, end] = getRange(day_of_week * 1, start_time, end_time);
+	const days = [-1, 0, 1].map(offset => (day_of_week * 1 + offset + 7) % 7);
+	const services = await db.query(
+		"SELECT service_id, day_of_week, start_time, end_time FROM services WHERE day_of_week IN (?) AND service_id <> ?",
+		[days, service_id ? service_id : 0]
+	);
+
+	return services.some(service => {
+		const [otherStart, otherEnd] = getRange(service.day_of_week, service.start_time, service.end_time);
+
+		// The week wraps around, from Saturday to Sunday
+		return [-week, 0, week].some(shift => start < otherEnd + shift && otherStart + shift < end);
+	});
+};
+
+/**
+ * @ignore
+ * @async
+ * @function isDuplicate
+ * @description Check if a day already has a service with the same name
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} [service_id] - ID of the service to ignore
+ * @param {Number|string} day_of_week - Day of the week
+ * @param {string} name - Name of the service
+ * @returns {Promise<Boolean>}
+ *
+ * @example
+ * 	isDuplicate(db, 4, 5, "dinner")
+ */
+const isDuplicate = async (db, service_id, day_of_week, name) => {
+	const services = await db.query(
+		"SELECT service_id FROM services WHERE day_of_week = ? AND name = ? AND service_id <> ? LIMIT 1",
+		[day_of_week, name, service_id ? service_id : 0]
+	);
+
+	return services.length > 0;
+};
+
+/**
+ * @ignore
+ * @function checkClosure
+ * @description Check the fields of a closure
+ *
+ * @param {string} start_date - First closed day
+ * @param {string} end_date - Last closed day
+ * @param {string} type - Type of the closure
+ * @param {string} [reason] - Why the restaurant is closed
+ * @returns {ModelError|null} A ModelError or null if everything is valid
+ *
+ * @example
+ * 	checkClosure("2021-08-01", "2021-08-21", "holiday", "Vacances d'été")
+ */
+const checkClosure = (start_date, end_date, type, reason) => {
+	const start = parseDay(start_date);
+	const end = parseDay(end_date);
+
+	if (!start) {
+		return new ModelError(400, "Vous devez fournir une date de début valide (AAAA-MM-JJ).", ["start_date"]);
+	}
+
+	if (!end || end < start) {
+		return new ModelError(400, "Vous devez fournir une date de fin valide (AAAA-MM-JJ), au plus tôt la date de début.", ["end_date"]);
+	}
+
+	if (!closureTypes.includes(type)) {
+		return new ModelError(400, `Vous devez fournir un type de fermeture valide (${closureTypes.join(", ")}).`, ["type"]);
+	}
+
+	if (!Checkers.strInRange(reason, null, 255, true, true)) {
+		return new ModelError(400, "Vous devez fournir une raison valide. (max. 255 caractères).", ["reason"]);
+	}
+
+	return null;
+};
+
+/*****************************************************
+ * CRUD Methods
+ *****************************************************/
+
+/* ---- CREATE ---------------------------------- */
+/**
+ * @async
+ * @function addService
+ * @description Add a weekly service
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} day_of_week - Day of the week, from 0 (Sunday) to 6 (Saturday)
+ * @param {string} name - Name of the service (lunch or dinner)
+ * @param {string} start_time - When the service starts ("HH:MM")
+ * @param {string} end_time - When the service ends ("HH:MM"), lower than start_time if it ends after midnight
+ * @returns {Promise<{service_id: Number}|ModelError>} The newly added service ID or a ModelError
+ *
+ * @example
+ * 	Schedule.addService(db, 5, "dinner", "19:00", "23:00")
+ */
+const addService = async (db, day_of_week, name, start_time, end_time) => {
+	const error = checkService(day_of_week, name, start_time, end_time);
+	if (error) return error;
+
+	if (await isDuplicate(db, null, day_of_week, name)) {
+		return new ModelError(409, "Ce jour a déjà un service de ce type.", ["day_of_week", "name"]);
+	}
+
+	if (await isOverlapping(db, null, day_of_week, start_time, end_time)) {
+		return new ModelError(409, "Ce service chevauche un autre service.", ["start_time", "end_time"]);
+	}
+
+	const service = await db.query(`
+		INSERT INTO services(day_of_week, name, start_time, end_time)
+		VALUES (?, ?, ?, ?)
+		`, [day_of_week, name, start_time, end_time]
+	);
+
+	return { service_id: service.insertId };
+};
+
+/**
+ * @async
+ * @function addClosure
+ * @description Add an exceptional closure or holidays
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string} start_date - First closed day ("YYYY-MM-DD")
+ * @param {string} end_date - Last closed day ("YYYY-MM-DD")
+ * @param {string} [type="closure"] - Type of the closure (closure or holiday)
+ * @param {string} [reason] - Why the restaurant is closed
+ * @returns {Promise<{closure_id: Number}|ModelError>} The newly added closure ID or a ModelError
+ *
+ * @example
+ * 	Schedule.addClosure(db, "2021-08-01", "2021-08-21", "holiday", "Vacances d'été")
+ */
+const addClosure = async (db, start_date, end_date, type = "closure", reason) => {
+	const error = checkClosure(start_date, end_date, type, reason);
+	if (error) return error;
+
+	const closure = await db.query(`
+		INSERT INTO closures(type, start_date, end_date, reason)
+		VALUES (?, ?, ?, ?)
+		`, [type, start_date, end_date, reason ? reason : null]
+	);
+
+	return { closure_id: closure.insertId };
+};
+
+/* ---- READ ------------------------------------ */
+/**
+ * @async
+ * @function getServiceById
+ * @description Get a weekly service by its ID
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} service_id - ID of the service
+ * @returns {Promise<Service|ModelError>} The service or a ModelError
+ *
+ * @example
+ * 	Schedule.getServiceById(db, 4)
+ */
+const getServiceById = async (db, service_id) => {
+	const service = await db.query(
+		"SELECT service_id, day_of_week, name, start_time, end_time FROM services WHERE service_id = ?",
+		[service_id]
+	);
+
+	return service[0] ? service[0] : new ModelError(404, `Aucun service n'a été trouvé avec l'ID "${service_id}".`);
+};
+
+/**
+ * @async
+ * @function getAllServices
+ * @description Get every weekly service
+ *
+ * @param {Promise<void>} db - Database connection
+ * @returns {Promise<Array<Service>>} A list of services
+ *
+ * @example
+ * 	Schedule.getAllServices(db)
+ */
+const getAllServices = async db => {
+	return db.query(`
+		SELECT service_id, day_of_week, name, start_time, end_time
+		FROM services
+		ORDER BY day_of_week, start_time
+	`);
+};
+
+/**
+ * @async
+ * @function getClosureById
+ * @description Get a closure by its ID
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} closure_id - ID of the closure
+ * @returns {Promise<Closure|ModelError>} The closure or a ModelError
+ *
+ * @example
+ * 	Schedule.getClosureById(db, 2)
+ */
+const getClosureById = async (db, closure_id) => {
+	const closure = await db.query(
+		"SELECT closure_id, type, start_date, end_date, reason FROM closures WHERE closure_id = ?",
+		[closure_id]
+	);
+
+	return closure[0] ? closure[0] : new ModelError(404, `Aucune fermeture n'a été trouvée avec l'ID "${closure_id}".`);
+};
+
+/**
+ * @async
+ * @function getAllClosures
+ * @description Get every closure which is not over yet
+ *
+ * @param {Promise<void>} db - Database connection
+ * @returns {Promise<Array<Closure>>} A list of closures
+ *
+ * @example
+ * 	Schedule.getAllClosures(db)
+ */
+const getAllClosures = async db => {
+	return db.query(`
+		SELECT closure_id, type, start_date, end_date, reason
+		FROM closures
+		WHERE end_date >= CURDATE()
+		ORDER BY start_date
+	`);
+};
+
+/**
+ * @async
+ * @function getServicesOfDay
+ * @description Get the services of a given day, none if the restaurant is closed that day
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Date|string} date - The day (a date or "YYYY-MM-DD")
+ * @returns {Promise<Array<DayService>|ModelError>} A list of services or a ModelError
+ *
+ * @example
+ * 	Schedule.getServicesOfDay(db, "2021-06-03")
+ */
+const getServicesOfDay = async (db, date) => {
+	const day = parseDay(date);
+
+	if (!day) {
+		return new ModelError(400, "Vous devez fournir une date valide (AAAA-MM-JJ).", ["date"]);
+	}
+
+	const closure = await db.query(
+		"SELECT closure_id FROM closures WHERE ? BETWEEN start_date AND end_date LIMIT 1",
+		[toDay(day)]
+	);
+	if (closure[0]) return [];
+
+	const services = await db.query(`
+		SELECT service_id, name, start_time, end_time
+		FROM services
+		WHERE day_of_week = ?
+		ORDER BY start_time
+	`, [day.getDay()]);
+
+	return services.map(service => {
+		const start = new Date(day.getTime());
+		const end = new Date(day.getTime());
+
+		start.setMinutes(toMinutes(service.start_time));
+		end.setMinutes(toMinutes(service.end_time));
+		if (end <= start) end.setDate(end.getDate() + 1);
+
+		return { service_id: service.service_id, name: service.name, day: toDay(day), start, end };
+	});
+};
+
+/**
+ * @async
+ * @function getService
+ * @description Get the service during which something happens. A service which started the day before and ends after
+ * midnight is taken into account.
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Date|string} time - When it starts
+ * @param {Number} [duration=0] - How many minutes it lasts, it must end before the end of the service
+ * @returns {Promise<DayService|null>} The service or null if the restaurant is closed
+ *
+ * @example
+ * 	Schedule.getService(db, "2021-06-03 20:00:00", 120)
+ */
+const getService = async (db, time, duration = 0) => {
+	const date = new Date(time);
+	if (!Checkers.isDate(date)) return null;
+
+	const end = new Date(date.getTime() + duration * 60000);
+	const previousDay = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+	const services = [
+		...await getServicesOfDay(db, previousDay),
+		...await getServicesOfDay(db, date)
+	];
+
+	const service = services.find(service => service.start <= date && end <= service.end);
+	return service ? service : null;
+};
+
+/**
+ * @async
+ * @function getServiceDay
+ * @description Get the day a moment belongs to. A moment during a service which ends after midnight belongs to the
+ * day the service started.
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Date|string} [time=new Date()] - The moment
+ * @returns {Promise<string>} The day ("YYYY-MM-DD")
+ *
+ * @example
+ * 	Schedule.getServiceDay(db, "2021-06-04 00:30:00") // return "2021-06-03" if the dinner ends at 1 a.m.
+ */
+const getServiceDay = async (db, time = new Date()) => {
+	const service = await getService(db, time);
+	return service ? service.day : toDay(new Date(time));
+};
+
+/* ---- UPDATE ---------------------------------- */
+/**
+ * @async
+ * @function updateService
+ * @description Update a weekly service
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} service_id - ID of the service
+ * @param {Number|string} [day_of_week] - Day of the week, from 0 (Sunday) to 6 (Saturday)
+ * @param {string} [name] - Name of the service (lunch or dinner)
+ * @param {string} [start_time] - When the service starts ("HH:MM")
+ * @param {string} [end_time] - When the service ends ("HH:MM")
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	Schedule.updateService(db, 4, null, null, "19:30", null)
+ */
+const updateService = async (db, service_id, day_of_week, name, start_time, end_time) => {
+	const service = await getServiceById(db, service_id);
+	if (service instanceof ModelError) return service;
+
+	if ([day_of_week, name, start_time, end_time].every(value => !Checkers.isDefined(value))) {
+		return new ModelError(200, "Rien à mettre à jour.");
+	}
+
+	const updated = {
+		day_of_week: Checkers.isDefined(day_of_week) ? day_of_week : service.day_of_week,
+		name: Checkers.isDefined(name) ? name : service.name,
+		start_time: Checkers.isDefined(start_time) ? start_time : service.start_time,
+		end_time: Checkers.isDefined(end_time) ? end_time : service.end_time
+	};
+
+	const error = checkService(updated.day_of_week, updated.name, updated.start_time, updated.end_time);
+	if (error) return error;
+
+	if (await isDuplicate(db, service_id, updated.day_of_week, updated.name)) {
+		return new ModelError(409, "Ce jour a déjà un service de ce type.", ["day_of_week", "name"]);
+	}
+
+	if (await isOverlapping(db, service_id, updated.day_of_week, updated.start_time, updated.end_time)) {
+		return new ModelError(409, "Ce service chevauche un autre service.", ["start_time", "end_time"]);
+	}
+
+	return db.query(
+		"UPDATE services SET day_of_week = ?, name = ?, start_time = ?, end_time = ? WHERE service_id = ?",
+		[updated.day_of_week, updated.name, updated.start_time, updated.end_time, service_id]
+	);
+};
+
+/**
+ * @async
+ * @function updateClosure
+ * @description Update a closure
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} closure_id - ID of the closure
+ * @param {string} [start_date] - First closed day ("YYYY-MM-DD")
+ * @param {string} [end_date] - Last closed day ("YYYY-MM-DD")
+ * @param {string} [type] - Type of the closure (closure or holiday)
+ * @param {string} [reason] - Why the restaurant is closed
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	Schedule.updateClosure(db, 2, null, "2021-08-28", null, null)
+ */
+const updateClosure = async (db, closure_id, start_date, end_date, type, reason) => {
+	const closure = await getClosureById(db, closure_id);
+	if (closure instanceof ModelError) return closure;
+
+	if ([start_date, end_date, type, reason].every(value => !Checkers.isDefined(value))) {
+		return new ModelError(200, "Rien à mettre à jour.");
+	}
+
+	const updated = {
+		start_date: Checkers.isDefined(start_date) ? start_date : toDay(new Date(closure.start_date)),
+		end_date: Checkers.isDefined(end_date) ? end_date : toDay(new Date(closure.end_date)),
+		type: Checkers.isDefined(type) ? type : closure.type,
+		reason: Checkers.isDefined(reason) ? reason : closure.reason
+	};
+
+	const error = checkClosure(updated.start_date, updated.end_date, updated.type, updated.reason);
+	if (error) return error;
+
+	return db.query(
+		"UPDATE closures SET start_date = ?, end_date = ?, type = ?, reason = ? WHERE closure_id = ?",
+		[updated.start_date, updated.end_date, updated.type, updated.reason, closure_id]
+	);
+};
+
+/* ---- DELETE ---------------------------------- */
+/**
+ * @async
+ * @function deleteService
+ * @description Delete a weekly service
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} service_id - ID of the service
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	Schedule.deleteService(db, 4)
+ */
+const deleteService = async (db, service_id) => {
+	const result = await db.query("DELETE FROM services WHERE service_id = ?", [service_id]);
+
+	return result.affectedRows > 0
+		? result
+		: new ModelError(404, `Aucun service n'a été trouvé avec l'ID "${service_id}".`);
+};
+
+/**
+ * @async
+ * @function deleteClosure
+ * @description Delete a closure
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} closure_id - ID of the closure
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	Schedule.deleteClosure(db, 2)
+ */
+const deleteClosure = async (db, closure_id) => {
+	const result = await db.query("DELETE FROM closures WHERE closure_id = ?", [closure_id]);
+
+	return result.affectedRows > 0
+		? result
+		: new ModelError(404, `Aucune fermeture n'a été trouvée avec l'ID "${closure_id}".`);
+};
+
+/*****************************************************
+ * Export
+ *****************************************************/
+
+const Schedule = {
+	addService,
+	addClosure,
+	getServiceById,
+	getAllServices,
+	getClosureById,
+	getAllClosures,
+	getServicesOfDay,
+	getService,
+	getServiceDay,
+	updateService,
+	updateClosure,
+	deleteService,
+	deleteClosure
+};
+export default Schedule;
\ No newline at end of file
@@ -0,0 +1,77 @@
+/**
+ * @module models/StatusChange
+ * @description A StatusChange records when a booking or a table moved from a status to another of the service
+ * lifecycle, and who did it.
+ * @see {@link module:models/Booking}
+ * @see {@link module:models/Table}
+ */
+
+/**
+ * A status change
+ * @typedef {Object} StatusChange
+ * @property {Number} change_id - ID of the change
+ * @property {string} entity - Type of the changed entity (booking or table)
+ * @property {Number} entity_id - ID of the changed entity
+ * @property {string} from_status - Status before the change
+ * @property {string} to_status - Status after the change
+ * @property {Number} [user_id] - ID of the user who made the change, null when it was automatic
+ * @property {Date|string} created_at - When the change was made
+ */
+
+/*****************************************************
+ * CRUD Methods
+ *****************************************************/
+
+/* ---- CREATE ---------------------------------- */
+/**
+ * @async
+ * @function add
+ * @description Record a status change
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string} entity - Type of the changed entity
+ * @param {Number|string} entity_id - ID of the changed entity
+ * @param {string} from_status - Status before the change
+ * @param {string} to_status - Status after the change
+ * @param {Number|string} [user_id] - ID of the user who made the change
+ * @returns {Promise<void>}
+ *
+ * @example
+ * 	StatusChange.add(db, "booking", 4, "reserved", "seated", 2)
+ */
+const add = async (db, entity, entity_id, from_status, to_status, user_id) => {
+	return db.query(`
+		INSERT INTO status_changes(entity, entity_id, from_status, to_status, user_id)
+		VALUES (?, ?, ?, ?, ?)
+	`, [entity, entity_id, from_status, to_status, user_id ? user_id : null]);
+};
+
+/* ---- READ ------------------------------------ */
+/**
+ * @async
+ * @function getAll
+ * @description Get the status changes of an entity, the oldest first
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string} entity - Type of the entity
+ * @param {Number|string} entity_id - ID of the entity
+ * @returns {Promise<Array<StatusChange>>} A list of status changes
+ *
+ * @example
+ * 	StatusChange.getAll(db, "booking", 4)
+ */
+const getAll = async (db, entity, entity_id) => {
+	return db.query(`
+		SELECT change_id, entity, entity_id, from_status, to_status, user_id, created_at
+		FROM status_changes
+		WHERE entity = ? AND entity_id = ?
+		ORDER BY created_at, change_id
+	`, [entity, entity_id]);
+};
+
+/*****************************************************
+ * Export
+ *****************************************************/
+
+const StatusChange = { add, getAll };
+export default StatusChange;
\ No newline at end of file
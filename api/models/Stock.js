@@ -1,5 +1,5 @@
 /** @module models/Stock */
-import { getFieldsToUpdate } from "../../global/Functions.js";
+import { getFieldsToUpdate, transaction } from "../../global/Functions.js";
 import Measurement from "./Measurement.js";
 import ModelError from "../../global/ModelError.js";
 import Checkers from "../../global/Checkers.js";
@@ -270,23 +270,31 @@ const update = async (db, stock_id, name, units, units_unit_id, unit_price, is_o
 /**
  * @async
  * @function reduce
- * @description Reduce every stock item quantity using a list of ordered menus
+ * @description Reduce every stock item quantity using a list of ordered menus, as many times as each menu is ordered.
+ * Every stock item is reduced in a single transaction: if a quantity can't be converted, none is reduced.
  * @see {@link module:models/Measurement}
  *
  * @param {Promise<void>} db - Database connection
- * @param {Array<Menu>} menus - A list of menus
- * @returns {Promise<void>}
+ * @param {Array<MenuFull & {quantity: Number}>} menus - A list of menus, each ordered once unless a quantity is given
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
  *
  * @example
- * 	Stock.reduce(db, [<Menu>, <Menu>, <Menu>])
+ * 	Stock.reduce(db, [<MenuFull>, <MenuFull>, <MenuFull>])
  */
 const reduce = async (db, menus) => {
-	for (const menu of menus) {
-		for (const ingredient of menu.ingredients) {
-			const quantityConversion = await Measurement.convert(db, ingredient.units, ingredient.units_unit, ingredient.stock_units_unit);
-			await db.query("UPDATE stocks SET units = units - ? WHERE stock_id = ?", [quantityConversion, ingredient.stock_id]);
+	return transaction(db, async () => {
+		for (const menu of menus) {
+			for (const ingredient of menu.ingredients) {
+				const quantityConversion = await Measurement.convert(db, ingredient.units, ingredient.units_unit, ingredient.stock_units_unit);
+				if (quantityConversion instanceof ModelError) return quantityConversion;
+
+				await db.query(
+					"UPDATE stocks SET units = units - ? WHERE stock_id = ?",
+					[quantityConversion * (menu.quantity || 1), ingredient.stock_id]
+				);
+			}
 		}
-	}
+	});
 };
 
 /* ---- DELETE ---------------------------------- */
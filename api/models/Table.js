@@ -1,4 +1,7 @@
 /** @module models/Table */
+import config from "../../config/config.js";
+import StatusChange from "./StatusChange.js";
+import TableZone from "./TableZone.js";
 import { getFieldsToUpdate } from "../../global/Functions.js";
 import ModelError from "../../global/ModelError.js";
 import Checkers from "../../global/Checkers.js";
@@ -9,10 +12,85 @@ import Checkers from "../../global/Checkers.js";
  * @property {Number} table_id - ID of the table
  * @property {string} [name] - Table name
  * @property {Number} capacity - Table capacity
- * @property {Boolean|Number} is_available - Is this table available
+ * @property {Boolean|Number} is_available - Is this table free right now, its status is "free"
  * @property {Boolean|Number} can_be_used - It is possible to place booking on it
+ * @property {string} status - Where the table stands in the service (free, reserved, seated, ordering, waiting_bill,
+ * paid or cleaning)
+ * @property {Date|string} [status_changed_at] - When the status last changed
+ * @property {Number} [zone_id] - ID of the zone where the table stands
+ * @property {Number} [pos_x] - Horizontal position of the table on the floor plan
+ * @property {Number} [pos_y] - Vertical position of the table on the floor plan
+ * @property {string} [shape] - Shape of the table on the floor plan (square, round or rectangle)
+ * @property {Number} [rotation] - Rotation of the table on the floor plan, in degrees
+ * @property {Array<Number>} [joinable_tables] - IDs of the tables which can be joined with this one
  */
 
+/**
+ * A table placed on the floor plan, with what happens at it right now
+ * @typedef {Object} FloorPlanTable
+ * @property {Number} table_id - ID of the table
+ * @property {string} [name] - Table name
+ * @property {Number} capacity - Table capacity
+ * @property {string} status - Where the table stands in the service
+ * @property {Number} [zone_id] - ID of the zone where the table stands
+ * @property {Number} pos_x - Horizontal position of the table
+ * @property {Number} pos_y - Vertical position of the table
+ * @property {string} shape - Shape of the table
+ * @property {Number} rotation - Rotation of the table, in degrees
+ * @property {Array<Number>} joinable_tables - IDs of the tables which can be joined with this one
+ * @property {Object} [booking] - The booking served at the table, or expected at it right now
+ * @property {Object} [order] - The last order of this booking
+ */
+
+/**
+ * The floor plan of the restaurant
+ * @typedef {Object} FloorPlan
+ * @property {Array<TableZone & {tables: Array<FloorPlanTable>}>} zones - Every zone with its tables
+ * @property {Array<FloorPlanTable>} tables_without_zone - The tables which aren't placed in a zone
+ */
+
+/**
+ * @ignore
+ * @description Shapes a table can be drawn with on the floor plan
+ * @type {Array<string>}
+ */
+const shapes = ["square", "round", "rectangle"];
+
+/**
+ * @ignore
+ * @description Statuses a table can be moved to by hand, from each status. The other statuses follow the booking
+ * seated at the table.
+ * @type {Object<string, Array<string>>}
+ */
+const transitions = {
+	free: ["reserved", "cleaning"],
+	reserved: ["free"],
+	seated: [],
+	ordering: [],
+	waiting_bill: [],
+	paid: ["cleaning"],
+	cleaning: ["free"]
+};
+
+/**
+ * @ignore
+ * @description SQL condition matching the tables which have no booking overlapping the sitting starting at a given
+ * time. Its parameters are: the start of the sitting, its duration and twice the ID of a booking to ignore (or
+ * null).
+ * @type {string}
+ */
+const isFreeCondition = `
+	NOT EXISTS (
+		SELECT 1
+		FROM booking_tables
+		INNER JOIN bookings ON booking_tables.booking_id = bookings.booking_id
+		WHERE booking_tables.table_id = tables.table_id
+			AND bookings.is_finished = 0
+			AND ABS(TIMESTAMPDIFF(MINUTE, bookings.time, ?)) < ?
+			AND (? IS NULL OR bookings.booking_id <> ?)
+	)
+`;
+
 /*****************************************************
  * CRUD Methods
  *****************************************************/
@@ -21,19 +99,18 @@ import Checkers from "../../global/Checkers.js";
 /**
  * @async
  * @function add
- * @description Add a table
+ * @description Add a table, it is free at first
  *
  * @param {Promise<void>} db - Database connection
  * @param {string} [name] - Table name
  * @param {Number} capacity - Table capacity
- * @param {Boolean|Number} [is_available=1] - Is this table available
  * @param {Boolean|Number} [can_be_used=1] - It is possible to place booking on it
  * @returns {Promise<void|ModelError>} Nothing or a ModelError
  *
  * @example
  * 	Table.add(db, "Table n°4", 6)
  */
-const add = async (db, name, capacity, is_available = 1, can_be_used = 1) => {
+const add = async (db, name, capacity, can_be_used = 1) => {
 	if (!Checkers.strInRange(name, null, 255, true, true)) {
 		return new ModelError(400, "Vous devez fournir un nom valide. (max. 255 caractères).", ["name"]);
 	}
@@ -43,12 +120,42 @@ const add = async (db, name, capacity, is_available = 1, can_be_used = 1) => {
 	}
 
 	return db.query(`
-		INSERT INTO tables(name, capacity, is_available, can_be_used)
-		VALUES (?, ?, ?, ?)
-		`, [name, capacity, is_available, can_be_used]
+		INSERT INTO tables(name, capacity, is_available, can_be_used, status)
+		VALUES (?, ?, 1, ?, 'free')
+		`, [name, capacity, can_be_used]
 	);
 };
 
+/**
+ * @async
+ * @function addJoin
+ * @description Declare that two tables can be joined for a large party
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} table_id - ID of the first table
+ * @param {Number|string} joinable_table_id - ID of the second table
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	Table.addJoin(db, 4, 5)
+ */
+const addJoin = async (db, table_id, joinable_table_id) => {
+	if (`${table_id}` === `${joinable_table_id}`) {
+		return new ModelError(400, "Une table ne peut pas être jointe à elle-même.", ["joinable_table_id"]);
+	}
+
+	const tables = await db.query("SELECT table_id FROM tables WHERE table_id IN (?, ?)", [table_id, joinable_table_id]);
+
+	if (tables.length < 2) {
+		return new ModelError(404, "Aucune table n'a été trouvée avec l'un de ces IDs.", ["table_id", "joinable_table_id"]);
+	}
+
+	// A join is stored once, the smallest ID first
+	const [first, second] = [table_id * 1, joinable_table_id * 1].sort((a, b) => a - b);
+
+	return db.query("INSERT IGNORE INTO table_joins(table_id, joinable_table_id) VALUES (?, ?)", [first, second]);
+};
+
 /* ---- READ ---------------------------------- */
 /**
  * @async
@@ -63,34 +170,244 @@ const add = async (db, name, capacity, is_available = 1, can_be_used = 1) => {
  * 	Table.getById(db, 4)
  */
 const getById = async (db, table_id) => {
-	const table = await db.query("SELECT table_id, name, capacity, is_available, can_be_used FROM tables WHERE table_id = ?", [table_id]);
-	return table[0] ? table[0] : new ModelError(404, `Aucune table n'a été trouvée avec l'ID "${table_id}".`);
+	const table = await db.query(`
+		SELECT
+			table_id, name, capacity, is_available, can_be_used, status, status_changed_at,
+			zone_id, pos_x, pos_y, shape, rotation
+		FROM tables
+		WHERE table_id = ?
+	`, [table_id]);
+	if (!table[0]) return new ModelError(404, `Aucune table n'a été trouvée avec l'ID "${table_id}".`);
+
+	const joins = await getAllJoins(db);
+	return { ...table[0], joinable_tables: joins.get(table[0].table_id) || [] };
 };
 
 /**
  * @async
  * @function getByTableCapacity
- * @description Get the smallest available table
+ * @description Get the smallest table which can be booked for a sitting starting at a given time. A table is booked
+ * from the time of a booking and for "config.app.bookings.sittingDuration" minutes.
  *
  * @param {Promise<void>} db - Database connection
  * @param {Number} capacity - Minimum capacity needed
+ * @param {Date|string} time - When the sitting starts
+ * @param {Number|string} [ignored_booking_id] - ID of a booking to ignore, when moving it
  * @returns {Promise<Table|ModelError>} The table or a ModelError
  *
  * @example
- * 	Table.getByTableCapacity(db, 6)
+ * 	Table.getByTableCapacity(db, 6, "2021-06-03 20:00:00")
  */
-const getByTableCapacity = async (db, capacity) => {
+const getByTableCapacity = async (db, capacity, time, ignored_booking_id = null) => {
+	const { sittingDuration } = config.app.bookings;
 	const table = await db.query(`
 		SELECT table_id, name, capacity, is_available, can_be_used
-		FROM tables 
-		WHERE capacity >= ? AND is_available = 1 AND can_be_used = 1
+		FROM tables
+		WHERE capacity >= ? AND can_be_used = 1 AND ${isFreeCondition}
 		ORDER BY capacity
 		LIMIT 1`,
-	[capacity]);
+	[capacity, new Date(time), sittingDuration, ignored_booking_id, ignored_booking_id]);
 
 	return table[0] ? table[0] : new ModelError(404, `Aucune table n'a été trouvée avec une capacité d'au moins ${capacity} personnes.`);
 };
 
+/**
+ * @async
+ * @function isFreeAt
+ * @description Check if a table has no booking overlapping a sitting starting at a given time
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} table_id - ID of the table
+ * @param {Date|string} time - When the sitting starts
+ * @param {Number|string} [ignored_booking_id] - ID of a booking to ignore, when moving it
+ * @returns {Promise<Boolean>}
+ *
+ * @example
+ * 	Table.isFreeAt(db, 4, "2021-06-03 20:00:00", 12)
+ */
+const isFreeAt = async (db, table_id, time, ignored_booking_id = null) => {
+	const { sittingDuration } = config.app.bookings;
+	const table = await db.query(`
+		SELECT table_id
+		FROM tables
+		WHERE table_id = ? AND ${isFreeCondition}`,
+	[table_id, new Date(time), sittingDuration, ignored_booking_id, ignored_booking_id]);
+
+	return !!table[0];
+};
+
+/**
+ * @async
+ * @function getAllUsable
+ * @description Get every table on which a booking can be placed
+ *
+ * @param {Promise<void>} db - Database connection
+ * @returns {Promise<Array<Table>>} A list of tables, the smallest first
+ *
+ * @example
+ * 	Table.getAllUsable(db)
+ */
+const getAllUsable = async db => {
+	return db.query(`
+		SELECT table_id, name, capacity, is_available, can_be_used, status
+		FROM tables
+		WHERE can_be_used = 1
+		ORDER BY capacity
+	`);
+};
+
+/**
+ * @async
+ * @function getAllJoins
+ * @description Get which tables can be joined with each table
+ *
+ * @param {Promise<void>} db - Database connection
+ * @returns {Promise<Map<Number, Array<Number>>>} The IDs of the joinable tables, by table ID
+ *
+ * @example
+ * 	Table.getAllJoins(db)
+ */
+const getAllJoins = async db => {
+	const joins = await db.query("SELECT table_id, joinable_table_id FROM table_joins");
+	const tablesJoins = new Map();
+
+	const addJoin = (table_id, joinable_table_id) => {
+		if (!tablesJoins.has(table_id)) tablesJoins.set(table_id, []);
+		tablesJoins.get(table_id).push(joinable_table_id);
+	};
+
+	for (const join of joins) {
+		addJoin(join.table_id, join.joinable_table_id);
+		addJoin(join.joinable_table_id, join.table_id);
+	}
+
+	return tablesJoins;
+};
+
+/**
+ * @function findCombination
+ * @description Find the best group of tables for a number of clients among the given tables. A single table is
+ * preferred, otherwise the tables must be joinable one to another. The best group wastes the fewest seats, then uses
+ * the fewest tables. A group can't have more than "config.app.bookings.maxJoinedTables" tables.
+ *
+ * @param {Array<Table>} tables - The free tables
+ * @param {Map<Number, Array<Number>>} joins - The IDs of the joinable tables, by table ID
+ * @param {Number} capacity - Minimum capacity needed
+ * @returns {Array<Table>|null} The tables, the biggest first, or null if no group is big enough
+ *
+ * @example
+ * 	Table.findCombination([<Table>, <Table>, ...], await Table.getAllJoins(db), 14)
+ */
+const findCombination = (tables, joins, capacity) => {
+	const { maxJoinedTables } = config.app.bookings;
+	const tablesById = new Map(tables.map(table => [table.table_id, table]));
+	const getCapacity = group => group.reduce((total, table) => total + table.capacity, 0);
+	const isBetter = (group, best) => !best
+		|| getCapacity(group) < getCapacity(best)
+		|| (getCapacity(group) === getCapacity(best) && group.length < best.length);
+
+	const single = tables.filter(table => table.capacity >= capacity).sort((a, b) => a.capacity - b.capacity)[0];
+	if (single) return [single];
+
+	// Grow every group of joinable tables, one neighbour at a time
+	const visited = new Set();
+	let groups = tables.map(table => [table]);
+	let best = null;
+
+	for (let size = 1; size < maxJoinedTables && groups.length > 0; size++) {
+		const nextGroups = [];
+
+		for (const group of groups) {
+			for (const table of group) {
+				for (const neighbourId of joins.get(table.table_id) || []) {
+					const neighbour = tablesById.get(neighbourId);
+					if (!neighbour || group.includes(neighbour)) continue;
+
+					const nextGroup = [...group, neighbour];
+					const key = nextGroup.map(table => table.table_id).sort((a, b) => a - b).join(",");
+					if (visited.has(key)) continue;
+					visited.add(key);
+
+					if (getCapacity(nextGroup) >= capacity) {
+						if (isBetter(nextGroup, best)) best = nextGroup;
+					} else {
+						nextGroups.push(nextGroup);
+					}
+				}
+			}
+		}
+
+		groups = nextGroups;
+	}
+
+	return best ? [...best].sort((a, b) => b.capacity - a.capacity) : null;
+};
+
+/**
+ * @async
+ * @function lockUsable
+ * @description Lock every table on which a booking can be placed until the end of the current transaction. Bookings
+ * made at the same time are then placed one after the other, and none of them gets a table taken by another.
+ *
+ * @param {Promise<void>} db - Database connection, running a transaction
+ * @returns {Promise<void>}
+ *
+ * @example
+ * 	Table.lockUsable(db)
+ */
+const lockUsable = async db => {
+	await db.query("SELECT table_id FROM tables WHERE can_be_used = 1 FOR UPDATE");
+};
+
+/**
+ * @async
+ * @function lock
+ * @description Lock some tables until the end of the current transaction and get their current status, which
+ * can't change before the transaction ends
+ *
+ * @param {Promise<void>} db - Database connection, running a transaction
+ * @param {Array<Number|string>} table_ids - IDs of the tables
+ * @returns {Promise<Array<{table_id: Number, name: string, status: string}>>} The locked tables
+ *
+ * @example
+ * 	Table.lock(db, [4, 5])
+ */
+const lock = async (db, table_ids) => {
+	if (table_ids.length === 0) return [];
+	return db.query("SELECT table_id, name, status FROM tables WHERE table_id IN (?) FOR UPDATE", [table_ids]);
+};
+
+/**
+ * @async
+ * @function getForBooking
+ * @description Get the best group of tables free for a whole sitting starting at a given time
+ * @see findCombination
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number} capacity - Minimum capacity needed
+ * @param {Date|string} time - When the sitting starts
+ * @param {Number|string} [ignored_booking_id] - ID of a booking to ignore, when moving it
+ * @returns {Promise<Array<Table>|ModelError>} The tables, the biggest first, or a ModelError
+ *
+ * @example
+ * 	Table.getForBooking(db, 14, "2021-06-03 20:00:00")
+ */
+const getForBooking = async (db, capacity, time, ignored_booking_id = null) => {
+	const table = await getByTableCapacity(db, capacity, time, ignored_booking_id);
+	if (!(table instanceof ModelError)) return [table];
+
+	const { sittingDuration } = config.app.bookings;
+	const freeTables = await db.query(`
+		SELECT table_id, name, capacity, is_available, can_be_used
+		FROM tables
+		WHERE can_be_used = 1 AND ${isFreeCondition}
+		ORDER BY capacity`,
+	[new Date(time), sittingDuration, ignored_booking_id, ignored_booking_id]);
+
+	const tables = findCombination(freeTables, await getAllJoins(db), capacity);
+	return tables ? tables : table;
+};
+
 /**
  * @async
  * @function getAll
@@ -103,7 +420,106 @@ const getByTableCapacity = async (db, capacity) => {
  * 	Table.getAll(db)
  */
 const getAll = async db => {
-	return db.query("SELECT table_id, name, capacity, is_available, can_be_used FROM tables ORDER BY table_id");
+	const tables = await db.query(`
+		SELECT
+			table_id, name, capacity, is_available, can_be_used, status, status_changed_at,
+			zone_id, pos_x, pos_y, shape, rotation
+		FROM tables
+		ORDER BY table_id
+	`);
+	const joins = await getAllJoins(db);
+
+	return tables.map(table => ({ ...table, joinable_tables: joins.get(table.table_id) || [] }));
+};
+
+/**
+ * @async
+ * @function getFloorPlan
+ * @description Get the floor plan: every zone with its tables, and for each table the booking served at it (or
+ * expected at it for a sitting overlapping now) with its last order.
+ *
+ * @param {Promise<void>} db - Database connection
+ * @returns {Promise<FloorPlan>} The floor plan
+ *
+ * @example
+ * 	Table.getFloorPlan(db)
+ */
+const getFloorPlan = async db => {
+	const { sittingDuration } = config.app.bookings;
+	const zones = await TableZone.getAll(db);
+	const tables = await getAll(db);
+
+	// The bookings being served come first, then the expected ones by time
+	const bookings = await db.query(`
+		SELECT
+			booking_tables.table_id, bookings.booking_id, bookings.time, bookings.clients_nb, bookings.status,
+			bookings.status_changed_at, bookings.is_walk_in, bookings.user_id, users.first_name, users.last_name
+		FROM booking_tables
+		INNER JOIN bookings ON booking_tables.booking_id = bookings.booking_id
+		LEFT JOIN users ON bookings.user_id = users.user_id
+		WHERE bookings.is_finished = 0
+			AND (bookings.status <> 'reserved' OR ABS(TIMESTAMPDIFF(MINUTE, bookings.time, NOW())) < ?)
+		ORDER BY bookings.status = 'reserved', bookings.time
+	`, [sittingDuration]);
+
+	const orders = await db.query(`
+		SELECT orders.order_id, orders.booking_id, orders.time, orders.total_price, orders.is_finished
+		FROM orders
+		INNER JOIN bookings ON orders.booking_id = bookings.booking_id
+		WHERE bookings.is_finished = 0
+		ORDER BY orders.time DESC, orders.order_id DESC
+	`);
+
+	const bookingsByTable = new Map();
+	const ordersByBooking = new Map();
+
+	for (const booking of bookings) {
+		if (!bookingsByTable.has(booking.table_id)) bookingsByTable.set(booking.table_id, booking);
+	}
+
+	for (const order of orders) {
+		if (!ordersByBooking.has(order.booking_id)) ordersByBooking.set(order.booking_id, order);
+	}
+
+	const floorPlanTables = tables.map(table => {
+		const booking = bookingsByTable.get(table.table_id);
+		const order = booking ? ordersByBooking.get(booking.booking_id) : null;
+
+		return {
+			table_id: table.table_id,
+			name: table.name,
+			capacity: table.capacity,
+			can_be_used: table.can_be_used,
+			status: table.status,
+			status_changed_at: table.status_changed_at,
+			zone_id: table.zone_id,
+			pos_x: table.pos_x,
+			pos_y: table.pos_y,
+			shape: table.shape,
+			rotation: table.rotation,
+			joinable_tables: table.joinable_tables,
+			booking: booking ? {
+				booking_id: booking.booking_id,
+				time: booking.time,
+				clients_nb: booking.clients_nb,
+				status: booking.status,
+				status_changed_at: booking.status_changed_at,
+				is_walk_in: booking.is_walk_in,
+				user: booking.user_id ? { first_name: booking.first_name, last_name: booking.last_name } : null
+			} : null,
+			order: order ? {
+				order_id: order.order_id,
+				time: order.time,
+				total_price: order.total_price,
+				is_finished: order.is_finished
+			} : null
+		};
+	});
+
+	return {
+		zones: zones.map(zone => ({ ...zone, tables: floorPlanTables.filter(table => table.zone_id === zone.zone_id) })),
+		tables_without_zone: floorPlanTables.filter(table => !table.zone_id)
+	};
 };
 
 /* ---- UPDATE ---------------------------------- */
@@ -116,14 +532,13 @@ const getAll = async db => {
  * @param {Number|string} table_id - ID of the table
  * @param {string} [name] - Table name
  * @param {Number} [capacity] - Table capacity
- * @param {Boolean|Number} [is_available] - Is this table available
  * @param {Boolean|Number} [can_be_used] - It is possible to place booking on it
  * @returns {Promise<void|ModelError>} Nothing or a ModelError
  *
  * @example
  * 	Table.update(db, 12, null, 4, null)
  */
-const update = async (db, table_id, name, capacity, is_available, can_be_used) => {
+const update = async (db, table_id, name, capacity, can_be_used) => {
 	if (!Checkers.strInRange(name, null, 255, true, true)) {
 		return new ModelError(400, "Vous devez fournir un nom valide. (max. 255 caractères).", ["name"]);
 	}
@@ -132,12 +547,141 @@ const update = async (db, table_id, name, capacity, is_available, can_be_used) =
 		return new ModelError(400, "Vous devez fournir une capacité valide.", ["capacity"]);
 	}
 
-	const updatingFields = getFieldsToUpdate({ name, capacity, is_available, can_be_used });
+	const updatingFields = getFieldsToUpdate({ name, capacity, can_be_used });
 	if (!updatingFields) return new ModelError(200, "Rien à mettre à jour.");
 
 	return db.query(`UPDATE tables SET ${updatingFields} WHERE table_id = ?`, [table_id]);
 };
 
+/**
+ * @async
+ * @function setLayout
+ * @description Place a table on the floor plan: in a zone, at a position, with a shape and a rotation
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} table_id - ID of the table
+ * @param {Number|string} [zone_id] - ID of the zone, 0 to take the table out of its zone
+ * @param {Number} [pos_x] - Horizontal position of the table, in pixels
+ * @param {Number} [pos_y] - Vertical position of the table, in pixels
+ * @param {string} [shape] - Shape of the table (square, round or rectangle)
+ * @param {Number} [rotation] - Rotation of the table, in degrees from 0 to 359
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	Table.setLayout(db, 4, 2, 120, 80, "round", 45)
+ */
+const setLayout = async (db, table_id, zone_id, pos_x, pos_y, shape, rotation) => {
+	const table = await getById(db, table_id);
+	if (table instanceof ModelError) return table;
+
+	if (Checkers.isDefined(zone_id) && `${zone_id}` !== "0") {
+		const zone = await TableZone.getById(db, zone_id);
+		if (zone instanceof ModelError) return zone;
+	}
+
+	if (Checkers.isDefined(pos_x) && !(Number.isInteger(pos_x) && pos_x >= 0)) {
+		return new ModelError(400, "Vous devez fournir une position horizontale valide.", ["pos_x"]);
+	}
+
+	if (Checkers.isDefined(pos_y) && !(Number.isInteger(pos_y) && pos_y >= 0)) {
+		return new ModelError(400, "Vous devez fournir une position verticale valide.", ["pos_y"]);
+	}
+
+	if (Checkers.isDefined(shape) && !shapes.includes(shape)) {
+		return new ModelError(400, `La forme doit être l'une des suivantes : ${shapes.join(", ")}.`, ["shape"]);
+	}
+
+	if (Checkers.isDefined(rotation) && !(Number.isInteger(rotation) && rotation >= 0 && rotation < 360)) {
+		return new ModelError(400, "Vous devez fournir une rotation valide, entre 0 et 359 degrés.", ["rotation"]);
+	}
+
+	const updatingFields = getFieldsToUpdate({ pos_x, pos_y, shape, rotation });
+	if (!updatingFields && !Checkers.isDefined(zone_id)) return new ModelError(200, "Rien à mettre à jour.");
+
+	if (Checkers.isDefined(zone_id)) {
+		await db.query("UPDATE tables SET zone_id = ? WHERE table_id = ?", [`${zone_id}` === "0" ? null : zone_id, table_id]);
+	}
+
+	if (updatingFields) await db.query(`UPDATE tables SET ${updatingFields} WHERE table_id = ?`, [table_id]);
+};
+
+/**
+ * @async
+ * @function refreshAvailability
+ * @description Free a table which still follows a booking whose clients are gone (when the booking was deleted), then
+ * mark it as available if it is free, unavailable otherwise
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} table_id - ID of the table
+ * @returns {Promise<void>}
+ *
+ * @example
+ * 	Table.refreshAvailability(db, 4)
+ */
+const refreshAvailability = async (db, table_id) => {
+	return db.query(`
+		UPDATE tables
+		SET
+			status = IF(
+				status IN ('seated', 'ordering', 'waiting_bill') AND NOT EXISTS (
+					SELECT 1
+					FROM booking_tables
+					INNER JOIN bookings ON booking_tables.booking_id = bookings.booking_id
+					WHERE booking_tables.table_id = tables.table_id
+						AND bookings.is_client_on_place = 1
+						AND bookings.is_finished = 0
+				),
+				'free',
+				status
+			),
+			is_available = status = 'free'
+		WHERE table_id = ?
+	`, [table_id]);
+};
+
+/**
+ * @async
+ * @function setStatus
+ * @description Move a table to another status of the service. By hand, a table can only be reserved or freed, and
+ * cleaned once its clients have paid. When the status follows a booking, every move is allowed. The change is
+ * timestamped and recorded.
+ * @see {@link module:models/StatusChange}
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} table_id - ID of the table
+ * @param {string} status - The new status
+ * @param {Number|string} [user_id] - ID of the user who moves the table
+ * @param {Boolean} [followsBooking=false] - The status follows the booking seated at the table
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	Table.setStatus(db, 4, "cleaning", 2)
+ */
+const setStatus = async (db, table_id, status, user_id, followsBooking = false) => {
+	const table = await getById(db, table_id);
+	if (table instanceof ModelError) return table;
+
+	if (!Object.keys(transitions).includes(status)) {
+		return new ModelError(400, `Le statut doit être l'un des suivants : ${Object.keys(transitions).join(", ")}.`, ["status"]);
+	}
+
+	if (table.status === status) return;
+
+	if (!followsBooking && !transitions[table.status].includes(status)) {
+		return new ModelError(409, `Une table "${table.status}" ne peut pas passer à "${status}".`, ["status"]);
+	}
+
+	const result = await db.query(`
+		UPDATE tables
+		SET status = ?, status_changed_at = NOW(), is_available = ?
+		WHERE table_id = ?
+	`, [status, status === "free" ? 1 : 0, table.table_id]);
+
+	await StatusChange.add(db, "table", table.table_id, table.status, status, user_id);
+
+	return result;
+};
+
 /* ---- DELETE ---------------------------------- */
 /**
  * @async
@@ -155,9 +699,51 @@ const del = async (db, table_id) => {
 	return db.query("DELETE FROM tables WHERE table_id = ?", [table_id]);
 };
 
+/**
+ * @async
+ * @function deleteJoin
+ * @description Declare that two tables can't be joined anymore
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} table_id - ID of the first table
+ * @param {Number|string} joinable_table_id - ID of the second table
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	Table.deleteJoin(db, 4, 5)
+ */
+const deleteJoin = async (db, table_id, joinable_table_id) => {
+	const [first, second] = [table_id * 1, joinable_table_id * 1].sort((a, b) => a - b);
+	const result = await db.query("DELETE FROM table_joins WHERE table_id = ? AND joinable_table_id = ?", [first, second]);
+
+	return result.affectedRows > 0
+		? result
+		: new ModelError(404, "Ces tables ne sont pas jointes.", ["table_id", "joinable_table_id"]);
+};
+
 /*****************************************************
  * Export
  *****************************************************/
 
-const Table = { add, getById, getByTableCapacity, getAll, update, delete: del };
+const Table = {
+	add,
+	addJoin,
+	getById,
+	getByTableCapacity,
+	isFreeAt,
+	getAllUsable,
+	getAllJoins,
+	findCombination,
+	lockUsable,
+	lock,
+	getForBooking,
+	getAll,
+	getFloorPlan,
+	update,
+	setLayout,
+	refreshAvailability,
+	setStatus,
+	delete: del,
+	deleteJoin
+};
 export default Table;
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * @module models/TableZone
+ * @description A TableZone is an area of the restaurant (terrace, main room, bar...) in which tables are placed on the
+ * floor plan.
+ * @see {@link module:models/Table}
+ */
+import ModelError from "../../global/ModelError.js";
+import Checkers from "../../global/Checkers.js";
+
+/**
+ * A TableZone
+ * @typedef {Object} TableZone
+ * @property {Number} zone_id - ID of the zone
+ * @property {string} name - Zone name
+ */
+
+/*****************************************************
+ * CRUD Methods
+ *****************************************************/
+
+/* ---- CREATE ---------------------------------- */
+/**
+ * @async
+ * @function add
+ * @description Add a zone
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string} name - Zone name
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	TableZone.add(db, "Terrasse")
+ */
+const add = async (db, name) => {
+	if (!Checkers.strInRange(name, 1, 255)) {
+		return new ModelError(400, "Vous devez fournir un nom valide. (max. 255 caractères).", ["name"]);
+	}
+
+	if (await getByName(db, name)) {
+		return new ModelError(409, `Une zone s'appelle déjà "${name}".`, ["name"]);
+	}
+
+	return db.query("INSERT INTO table_zones(name) VALUES (?)", [name]);
+};
+
+/* ---- READ ------------------------------------ */
+/**
+ * @async
+ * @function getById
+ * @description Get a zone by its ID
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} zone_id - ID of the zone
+ * @returns {Promise<TableZone|ModelError>} The zone or a ModelError
+ *
+ * @example
+ * 	TableZone.getById(db, 2)
+ */
+const getById = async (db, zone_id) => {
+	const zone = await db.query("SELECT zone_id, name FROM table_zones WHERE zone_id = ?", [zone_id]);
+	return zone[0] ? zone[0] : new ModelError(404, `Aucune zone n'a été trouvée avec l'ID "${zone_id}".`);
+};
+
+/**
+ * @ignore
+ * @async
+ * @function getByName
+ * @description Get a zone by its name
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string} name - Name of the zone
+ * @returns {Promise<TableZone|null>} The zone or null
+ *
+ * @example
+ * 	getByName(db, "Terrasse")
+ */
+const getByName = async (db, name) => {
+	const zone = await db.query("SELECT zone_id, name FROM table_zones WHERE name = ?", [name]);
+	return zone[0] ? zone[0] : null;
+};
+
+/**
+ * @async
+ * @function getAll
+ * @description Get all zones
+ *
+ * @param {Promise<void>} db - Database connection
+ * @returns {Promise<Array<TableZone>>} A list of zones
+ *
+ * @example
+ * 	TableZone.getAll(db)
+ */
+const getAll = async db => {
+	return db.query("SELECT zone_id, name FROM table_zones ORDER BY zone_id");
+};
+
+/* ---- UPDATE ---------------------------------- */
+/**
+ * @async
+ * @function update
+ * @description Rename a zone
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} zone_id - ID of the zone
+ * @param {string} name - Zone name
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	TableZone.update(db, 2, "Salle principale")
+ */
+const update = async (db, zone_id, name) => {
+	if (!Checkers.strInRange(name, 1, 255)) {
+		return new ModelError(400, "Vous devez fournir un nom valide. (max. 255 caractères).", ["name"]);
+	}
+
+	const zone = await getById(db, zone_id);
+	if (zone instanceof ModelError) return zone;
+
+	const homonym = await getByName(db, name);
+
+	if (homonym && homonym.zone_id !== zone.zone_id) {
+		return new ModelError(409, `Une zone s'appelle déjà "${name}".`, ["name"]);
+	}
+
+	return db.query("UPDATE table_zones SET name = ? WHERE zone_id = ?", [name, zone_id]);
+};
+
+/* ---- DELETE ---------------------------------- */
+/**
+ * @async
+ * @function delete
+ * @description Delete a zone, its tables are left outside any zone
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} zone_id - ID of the zone
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	TableZone.delete(db, 2)
+ */
+const del = async (db, zone_id) => {
+	const result = await db.query("DELETE FROM table_zones WHERE zone_id = ?", [zone_id]);
+
+	return result.affectedRows > 0
+		? result
+		: new ModelError(404, `Aucune zone n'a été trouvée avec l'ID "${zone_id}".`, ["zone_id"]);
+};
+
+/*****************************************************
+ * Export
+ *****************************************************/
+
+const TableZone = { add, getById, getAll, update, delete: del };
+export default TableZone;
\ No newline at end of file
@@ -2,6 +2,7 @@
 import { promisify } from "util";
 import crypto from "crypto";
 import base64url from "base64url";
+import config from "../../config/config.js";
 import ModelError from "../../global/ModelError.js";
 import Checkers from "../../global/Checkers.js";
 
@@ -13,6 +14,23 @@ const randomBytesAsync = promisify(crypto.randomBytes);
  * @property {Number} token_id - ID of the token
  * @property {Number} user_id - ID of the user associated to this token
  * @property {string} token - The token itself
+ * @property {Date|string} created_at - When the token was issued
+ * @property {Date|string} [last_used_at] - When the token was used for the last time
+ * @property {Date|string} expires_at - When the token will expire
+ * @property {string} [user_agent] - User agent of the device which owns this token
+ * @property {string} [ip] - IP address of the device which owns this token
+ */
+
+/**
+ * A Session
+ * @typedef {Object} Session
+ * @property {Number} token_id - ID of the token
+ * @property {Date|string} created_at - When the session was opened
+ * @property {Date|string} [last_used_at] - When the session was used for the last time
+ * @property {Date|string} expires_at - When the session will expire
+ * @property {string} [user_agent] - User agent of the device
+ * @property {string} [ip] - IP address of the device
+ * @property {Boolean} is_current - Is this the session of the current request
  */
 
 /*****************************************************
@@ -28,20 +46,22 @@ const randomBytesAsync = promisify(crypto.randomBytes);
  * @param {Promise<void>} db - Database connection
  * @param {Number|string} user_id - ID of the user associated to this token
  * @param {string} token - The token itself
+ * @param {string} [user_agent] - User agent of the device which owns this token
+ * @param {string} [ip] - IP address of the device which owns this token
  * @returns {Promise<void|ModelError>} Nothing or a ModelError
  *
  * @example
- * 	Token.add(db, 45, "UkZaV1BaWDByTjZvUlkwWWhCdUFoajBJUWowdng3VFE1WU9uM3hxZXUvVWRoVlIybTB4R2NHSXUzWnJRVm9pVA")
+ * 	Token.add(db, 45, "UkZaV1BaWDByTjZvUlkwWWhCdUFoajBJUWowdng3VFE1WU9uM3hxZXUvVWRoVlIybTB4R2NHSXUzWnJRVm9pVA", "okhttp/4.9.0", "::1")
  */
-const add = async (db, user_id, token) => {
+const add = async (db, user_id, token, user_agent, ip) => {
 	if (!Checkers.strInRange(token, null, 255)) {
 		return new ModelError(500, "Le token est invalide.");
 	}
 
 	return db.query(`
-    INSERT INTO tokens(user_id, token)
-    VALUES (?, ?)
-    `, [user_id, token]
+    INSERT INTO tokens(user_id, token, expires_at, user_agent, ip)
+    VALUES (?, ?, NOW() + INTERVAL ? DAY, ?, ?)
+    `, [user_id, token, config.app.security.tokenLifetime, user_agent ? user_agent.substring(0, 255) : null, ip ? ip : null]
 	);
 };
 
@@ -49,20 +69,21 @@ const add = async (db, user_id, token) => {
 /**
  * @async
  * @function getNew
- * @description Generate a new token
- * @todo Add an expiration date to the token
+ * @description Generate a new token. It expires after "config.app.security.tokenLifetime" days without being used.
  *
  * @param {Promise<void>} db - Database connection
  * @param {Number|string} user_id - ID of the user associated to this token
+ * @param {string} [user_agent] - User agent of the device which asks for this token
+ * @param {string} [ip] - IP address of the device which asks for this token
  * @returns {Promise<string>} The generated token
  *
  * @example
- * 	Token.add(db, 45, "UkZaV1BaWDByTjZvUlkwWWhCdUFoajBJUWowdng3VFE1WU9uM3hxZXUvVWRoVlIybTB4R2NHSXUzWnJRVm9pVA")
+ * 	Token.getNew(db, 45, "okhttp/4.9.0", "::1")
  */
-const getNew = async (db, user_id) => {
+const getNew = async (db, user_id, user_agent, ip) => {
 	const buf = await randomBytesAsync(48);
 	const randomToken = base64url(buf.toString("base64"));
-	await add(db, user_id, randomToken);
+	await add(db, user_id, randomToken, user_agent, ip);
 
 	return randomToken;
 };
@@ -70,23 +91,138 @@ const getNew = async (db, user_id) => {
 /**
  * @async
  * @function getUserId
- * @description Get the associated user's ID using a token
+ * @description Get the associated user's ID using a token. Expired tokens are ignored.
  *
  * @param {Promise<void>} db - Database connection
  * @param {string} token - The token itself
  * @returns {Promise<Number|ModelError>} The user ID or a ModelError
  *
  * @example
- * 	Token.getUserId(db, 45)
+ * 	Token.getUserId(db, "UkZaV1BaWDByTjZvUlkwWWhCdUFoajBJUWowdng3VFE1WU9uM3hxZXUvVWRoVlIybTB4R2NHSXUzWnJRVm9pVA")
  */
 const getUserId = async (db, token) => {
-	const user_id = await db.query("SELECT user_id FROM tokens WHERE token = ? LIMIT 1", [token]);
-	return user_id[0] ? user_id[0].user_id : new ModelError(400, "Aucun utilisateur n'est associé à ce token.");
+	const user_id = await db.query("SELECT user_id FROM tokens WHERE token = ? AND expires_at > NOW() LIMIT 1", [token]);
+	return user_id[0] ? user_id[0].user_id : new ModelError(400, "Aucun utilisateur n'est associé à ce token ou celui-ci a expiré.");
+};
+
+/**
+ * @async
+ * @function getSessions
+ * @description Get every active session of a user
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} user_id - ID of the user
+ * @param {string} [currentToken] - Token of the current request, used to flag the current session
+ * @returns {Promise<Array<Session>>} A list of sessions
+ *
+ * @example
+ * 	Token.getSessions(db, 45, "UkZaV1BaWDByTjZvUlkwWWhCdUFoajBJUWowdng3VFE1WU9uM3hxZXUvVWRoVlIybTB4R2NHSXUzWnJRVm9pVA")
+ */
+const getSessions = async (db, user_id, currentToken) => {
+	const sessions = await db.query(`
+		SELECT
+			token_id,
+			token,
+			created_at,
+			last_used_at,
+			expires_at,
+			user_agent,
+			ip
+		FROM tokens
+		WHERE user_id = ? AND expires_at > NOW()
+		ORDER BY last_used_at DESC, created_at DESC
+	`, [user_id]);
+
+	return sessions.map(session => ({
+		token_id: session.token_id,
+		created_at: session.created_at,
+		last_used_at: session.last_used_at,
+		expires_at: session.expires_at,
+		user_agent: session.user_agent,
+		ip: session.ip,
+		is_current: session.token === currentToken
+	}));
+};
+
+/* ---- UPDATE ---------------------------------- */
+/**
+ * @async
+ * @function renew
+ * @description Mark a token as used and push back its expiration date (sliding expiration)
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string} token - The token itself
+ * @param {string} [ip] - IP address of the device which used this token
+ * @returns {Promise<void>}
+ *
+ * @example
+ * 	Token.renew(db, "UkZaV1BaWDByTjZvUlkwWWhCdUFoajBJUWowdng3VFE1WU9uM3hxZXUvVWRoVlIybTB4R2NHSXUzWnJRVm9pVA", "::1")
+ */
+const renew = async (db, token, ip) => {
+	return db.query(`
+		UPDATE tokens
+		SET last_used_at = NOW(), expires_at = NOW() + INTERVAL ? DAY, ip = COALESCE(?, ip)
+		WHERE token = ? AND expires_at > NOW()
+	`, [config.app.security.tokenLifetime, ip ? ip : null, token]);
+};
+
+/* ---- DELETE ---------------------------------- */
+/**
+ * @async
+ * @function revoke
+ * @description Revoke a token
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string} token - The token itself
+ * @returns {Promise<void>}
+ *
+ * @example
+ * 	Token.revoke(db, "UkZaV1BaWDByTjZvUlkwWWhCdUFoajBJUWowdng3VFE1WU9uM3hxZXUvVWRoVlIybTB4R2NHSXUzWnJRVm9pVA")
+ */
+const revoke = async (db, token) => {
+	return db.query("DELETE FROM tokens WHERE token = ?", [token]);
+};
+
+/**
+ * @async
+ * @function revokeById
+ * @description Revoke a token of a user using its ID
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} user_id - ID of the user who owns the token
+ * @param {Number|string} token_id - ID of the token
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	Token.revokeById(db, 45, 12)
+ */
+const revokeById = async (db, user_id, token_id) => {
+	const result = await db.query("DELETE FROM tokens WHERE token_id = ? AND user_id = ?", [token_id, user_id]);
+
+	return result.affectedRows > 0
+		? result
+		: new ModelError(404, `Aucune session n'a été trouvée avec l'ID "${token_id}".`);
+};
+
+/**
+ * @async
+ * @function revokeAll
+ * @description Revoke every token of a user
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} user_id - ID of the user
+ * @returns {Promise<void>}
+ *
+ * @example
+ * 	Token.revokeAll(db, 45)
+ */
+const revokeAll = async (db, user_id) => {
+	return db.query("DELETE FROM tokens WHERE user_id = ?", [user_id]);
 };
 
 /*****************************************************
  * Export
  *****************************************************/
 
-const Token = { getNew, getUserId };
+const Token = { getNew, getUserId, getSessions, renew, revoke, revokeById, revokeAll };
 export default Token;
\ No newline at end of file
@@ -1,13 +1,17 @@
 /** @module models/User */
 import bcrypt from "bcryptjs";
-import generatePwd from "generate-password";
 import config from "../../config/config.js";
 import Mail from "../../global/Mail.js";
+import Events from "../../global/Events.js";
 import Role from "./Role.js";
 import Token from "./Token.js";
+import UserCode from "./UserCode.js";
+import LoginAttempt from "./LoginAttempt.js";
+import Invitation from "./Invitation.js";
 import ModelError from "../../global/ModelError.js";
 import Checkers from "../../global/Checkers.js";
-import { getFieldsToUpdate } from "../../global/Functions.js";
+import Converters from "../../global/Converters.js";
+import { getFieldsToUpdate, transaction } from "../../global/Functions.js";
 
 /**
  * A User
@@ -20,6 +24,10 @@ import { getFieldsToUpdate } from "../../global/Functions.js";
  * @property {string} [last_name] - User last name
  * @property {string} email - User email address
  * @property {string} [password] - User password protected by hash
+ * @property {Boolean|Number} must_change_password - Must the user change his password before using the API
+ * @property {Boolean|Number} is_verified - Has the user verified his email address
+ * @property {Number} no_shows_nb - How many times the user didn't come to his booking
+ * @property {Boolean|Number} is_booking_blocked - Is the user forbidden to book a table
  */
 
 /*****************************************************
@@ -103,7 +111,7 @@ const doesPasswordMatchHash = async (password, hash) => {
 /**
  * @async
  * @function add
- * @description Add a user
+ * @description Add a user. The account stays unverified until the code sent to its email address is used.
  *
  * @param {Promise<void>} db - Database connection
  * @param {string} first_name - User first name
@@ -152,30 +160,35 @@ const add = async (db, first_name, last_name, email, password1, password2) => {
 
 	// Add the user
 	const user = await db.query(`
-    INSERT INTO users(first_name, last_name, email, password)
-    VALUES (?, ?, ?, ?)
-    `, [first_name, last_name ? last_name : null, email, hashedPwd]
+    INSERT INTO users(first_name, last_name, email, password, is_verified)
+    VALUES (?, ?, ?, ?, ?)
+    `, [first_name, last_name ? last_name : null, email, hashedPwd, false]
 	);
 
+	// Send the verification email. If it fails, the user can ask for a new one later
+	await sendVerification(db, user.insertId);
+
 	return getById(db, user.insertId);
 };
 
 /**
  * @async
  * @function addStaff
- * @description Add a staff member. His password is sent to the given email address.
+ * @description Invite a staff member. An invitation link is sent to the given email address so he can choose his own
+ * password.
  *
  * @param {Promise<void>} db - Database connection
  * @param {string} first_name - User first name
  * @param {string} [last_name] - User last name
  * @param {string} email - User email address
  * @param {Number|string} role_id - His role ID
+ * @param {Number|string} [invited_by] - ID of the user who sends the invitation
  * @returns {Promise<{code: Number, message: string}|ModelError>} A confirmation message or a ModelError
  *
  * @example
- * 	User.addStaff(db, "Daft", "Punk", "daft.punk@elect.ro", "cook")
+ * 	User.addStaff(db, "Daft", "Punk", "daft.punk@elect.ro", 3, 1)
  */
-const addStaff = async (db, first_name, last_name, email, role_id) => {
+const addStaff = async (db, first_name, last_name, email, role_id, invited_by) => {
 	// Check if something is invalid
 	if (!Checkers.strInRange(first_name, null, 255)) {
 		return new ModelError(400, "Vous devez fournir un prénom valide. (max. 255 caractères).", ["first_name"]);
@@ -198,43 +211,81 @@ const addStaff = async (db, first_name, last_name, email, role_id) => {
 		return new ModelError(400, "Le rôle sélectionné n'existe pas.", ["role"]);
 	}
 
-	// Create password
-	const password = generatePwd.generate({ length: 8, numbers: true, symbols: true, excludeSimilarCharacters: true, strict: true });
-	const hashedPwd = await hashPassword(password);
+	// Send the invitation
+	return Invitation.add(db, first_name, last_name, email, role_id, invited_by);
+};
 
-	// Add the staff
-	await db.query(`
-    INSERT INTO users(role_id, first_name, last_name, email, password)
-    VALUES (?, ?, ?, ?, ?)
-    `, [role_id, first_name, last_name ? last_name : null, email, hashedPwd]
-	);
+/**
+ * @async
+ * @function acceptInvitation
+ * @description Create the account of a staff member using the code of his invitation. The invitation is only used
+ * up if the account is created: both are written in a single transaction.
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string} code - The invitation code sent by email
+ * @param {string} password1 - Password
+ * @param {string} password2 - Password confirmation
+ * @returns {Promise<User|ModelError>} The newly added user or a ModelError
+ *
+ * @example
+ * 	User.acceptInvitation(db, "UkZaV1BaWDByTjZvUlkwWWhCdUFoajBJUWowdng3VFE1WU9uM3hxZXUvVWRoVlIybTB4R2NHSXUzWnJRVm9pVA", "0neMor3T1me!", "0neMor3T1me!")
+ */
+const acceptInvitation = async (db, code, password1, password2) => {
+	if (!Checkers.strInRange([password1, password2], 8, null)) {
+		return new ModelError(400, "Le mot de passe doit contenir au moins 8 caractères.", ["password"]);
+	}
 
-	// Return the password
-	try {
-		await Mail.sendPassword(email, password);
-		return { code: 202, message: "Staff added." };
-	} catch (err) {
-		return new ModelError(500, "Impossible d'envoyer le mot de passe à l'adresse e-mail du nouvel employé.");
+	if (!Checkers.isPasswordSafe([password1, password2])) {
+		return new ModelError(400, "Le mot de passe doit contenir au moins 8 caractères avec une majuscule, une minuscule, un nombre et un caractère spécial.", ["password"]);
+	}
+
+	if (password1 !== password2) {
+		return new ModelError(400, "Les mots de passe ne correspondent pas.", ["password"]);
 	}
+
+	const hashedPwd = await hashPassword(password1);
+
+	const user = await transaction(db, async () => {
+		const invitation = await Invitation.consume(db, code);
+		if (invitation instanceof ModelError) return invitation;
+
+		if (!await isEmailAvailable(db, invitation.email)) {
+			return new ModelError(400, "Cette adresse e-mail est déjà utilisée.", ["email"]);
+		}
+
+		// Add the staff
+		return db.query(`
+			INSERT INTO users(role_id, first_name, last_name, email, password, must_change_password, is_verified)
+			VALUES (?, ?, ?, ?, ?, ?, ?)
+			`, [invitation.role_id, invitation.first_name, invitation.last_name, invitation.email, hashedPwd, false, true]
+		);
+	});
+	if (user instanceof ModelError) return user;
+
+	return getById(db, user.insertId);
 };
 
 /* ---- READ ------------------------------------ */
 /**
  * @async
  * @function login
- * @description Login a user
+ * @description Login a user. Failed attempts are tracked per account and per IP address: each failure delays the
+ * next attempts and too many failures lock the account for a while. An attempt made before the end of its delay is
+ * refused with a 429 instead of waiting, so the database connection is never held during the delay.
+ * @see {@link module:models/LoginAttempt.getRetryAfter}
  *
  * @param {Promise<void>} db - Database connection
  * @param {string} email - User email address
  * @param {string} password - User password
  * @param {string} [roleLevel] - The minimum role needed to log in
+ * @param {string} [ip] - IP address of the device which tries to log in
  * @returns {Promise<User|ModelError>} The logged in user or a ModelError
  *
  * @example
  * 	User.login(db, "daft.punk@elect.ro", ""0neMor3T1me!")
- *User.login(db, "daft.punk@elect.ro", ""0neMor3T1me!", "cook")
+ *User.login(db, "daft.punk@elect.ro", ""0neMor3T1me!", "cook", "::1")
  */
-const login = async (db, email, password, roleLevel) => {
+const login = async (db, email, password, roleLevel, ip) => {
 	if (!Checkers.isEmail(email)) {
 		return new ModelError(400, "Vous devez fournir une adresse e-mail valide.", ["email"]);
 	}
@@ -243,27 +294,60 @@ const login = async (db, email, password, roleLevel) => {
 		return new ModelError(400, "Le mot de passe doit contenir au moins 8 caractères.", ["password"]);
 	}
 
+	// Slow down brute-force attacks
+	const { maxAttempts, maxAttemptsPerIp } = config.app.security.login;
+	const failures = await LoginAttempt.countFailures(db, email, ip);
+
+	if (failures.ip >= maxAttemptsPerIp) {
+		return new ModelError(429, "Trop de tentatives de connexion depuis cette adresse IP, veuillez réessayer plus tard.");
+	}
+
+	const retryAfter = LoginAttempt.getRetryAfter(failures);
+
+	if (retryAfter > 0) {
+		return new ModelError(429, `Trop de tentatives de connexion, veuillez réessayer dans ${retryAfter} seconde(s).`);
+	}
+
 	let user = await getPwdByEmail(db, email);
-	if (user instanceof ModelError) return user;
 
-	// Check the role
+	if (user instanceof ModelError) {
+		await LoginAttempt.add(db, email, ip, false);
+		return user;
+	}
+
+	// Check the lockout
+	if (await LoginAttempt.getActiveLockout(db, user.user_id)) {
+		return new ModelError(423, "Ce compte est temporairement verrouillé suite à de trop nombreuses tentatives de connexion. Réessayez plus tard ou contactez le gérant.");
+	}
+
+	const canConnect = user ? await doesPasswordMatchHash(password, user.password) : false;
+
+	if (!canConnect) {
+		await LoginAttempt.add(db, email, ip, false);
+
+		if (failures.email + 1 >= maxAttempts) {
+			await LoginAttempt.lock(db, user.user_id, email, ip, failures.email + 1);
+			return new ModelError(423, "Ce compte est temporairement verrouillé suite à de trop nombreuses tentatives de connexion. Réessayez plus tard ou contactez le gérant.");
+		}
+
+		return new ModelError(400, "Aucun utilisateur n'a été trouvé avec cette adresse e-mail et ce mot de passe.", ["email", "password"]);
+	}
+
+	// Check the role, only once the password is right so that it tells nothing about the account
 	if (roleLevel) {
 		const role = await Role.getByName(db, roleLevel);
 		if (role instanceof ModelError) return role;
 
-		if (user.role !== roleLevel) {
+		if (!await Role.isAllowed(db, user.role, role.name)) {
+			await LoginAttempt.add(db, email, ip, false);
 			return new ModelError(401, "Vous n'avez pas les droits nécessaires pour accéder à cette page.");
 		}
 	}
 
-	const canConnect = user ? await doesPasswordMatchHash(password, user.password) : false;
+	await LoginAttempt.add(db, email, ip, true);
 
-	if (!canConnect) {
-		return new ModelError(400, "Aucun utilisateur n'a été trouvé avec cette adresse e-mail et ce mot de passe.", ["email", "password"]);
-	} else {
-		delete user.password;
-		return user;
-	}
+	delete user.password;
+	return user;
 };
 
 /**
@@ -288,6 +372,8 @@ const loginWithToken = async (db, token, roleLevel) => {
 	const user_id = await Token.getUserId(db, token);
 	if (user_id instanceof ModelError) return user_id;
 
+	await Token.renew(db, token);
+
 	const user = await getById(db, user_id);
 	if (user instanceof ModelError) return user;
 
@@ -296,7 +382,7 @@ const loginWithToken = async (db, token, roleLevel) => {
 		const role = await Role.getByName(db, roleLevel);
 		if (role instanceof ModelError) return role;
 
-		if (user.role !== roleLevel) {
+		if (!await Role.isAllowed(db, user.role, role.name)) {
 			return new ModelError(401, "Vous n'avez pas les droits nécessaires pour accéder à cette page.");
 		}
 	}
@@ -324,7 +410,9 @@ const getStaff = db => {
       roles.display_name AS "display_role",
       users.first_name,
       users.last_name,
-      users.email
+      users.email,
+      users.must_change_password,
+      users.is_verified
     FROM users
     LEFT JOIN roles ON users.role_id = roles.role_id
     WHERE roles.name <> "customer"
@@ -355,6 +443,8 @@ const getPwdByEmail = async (db, email) => {
       users.first_name,
       users.last_name,
       users.email,
+      users.must_change_password,
+      users.is_verified,
       users.password
     FROM users
     LEFT JOIN roles ON users.role_id = roles.role_id
@@ -390,7 +480,11 @@ const getByEmail = async (db, email) => {
       roles.display_name AS "display_role",
       users.first_name,
       users.last_name,
-      users.email
+      users.email,
+      users.must_change_password,
+      users.is_verified,
+      users.no_shows_nb,
+      users.is_booking_blocked
     FROM users
     LEFT JOIN roles ON users.role_id = roles.role_id
     WHERE users.email = ?
@@ -420,7 +514,11 @@ const getById = async (db, user_id) => {
       roles.display_name AS "display_role",
       users.first_name,
       users.last_name,
-      users.email
+      users.email,
+      users.must_change_password,
+      users.is_verified,
+      users.no_shows_nb,
+      users.is_booking_blocked
     FROM users
     LEFT JOIN roles ON users.role_id = roles.role_id
     WHERE users.user_id = ?
@@ -430,6 +528,33 @@ const getById = async (db, user_id) => {
 	return user[0] ? user[0] : new ModelError(404, `Aucun utilisateur n'a été trouvé avec l'ID utilisateur "${user_id}"`);
 };
 
+/**
+ * @async
+ * @function getAllNoShows
+ * @description Get the customers who didn't come to their bookings, the repeat offenders first
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} [min=1] - Minimum number of no-shows
+ * @returns {Promise<Array<User>|ModelError>} A list of users or a ModelError
+ *
+ * @example
+ * 	User.getAllNoShows(db, 3)
+ */
+const getAllNoShows = async (db, min = 1) => {
+	const minNoShows = Checkers.isDefined(min) ? Converters.toNumber(min) : 1;
+
+	if (!Checkers.isGreaterThan(minNoShows, 0)) {
+		return new ModelError(400, "Vous devez fournir un nombre minimum d'absences valide.", ["min"]);
+	}
+
+	return db.query(`
+		SELECT user_id, first_name, last_name, email, no_shows_nb, is_booking_blocked
+		FROM users
+		WHERE no_shows_nb >= ?
+		ORDER BY no_shows_nb DESC, user_id
+	`, [minNoShows]);
+};
+
 /* ---- UPDATE ---------------------------------- */
 /**
  * @async
@@ -467,6 +592,210 @@ const update = async (db, user_id, role_id, first_name, last_name, email) => {
 	return db.query(`UPDATE users SET ${updatingFields} WHERE user_id = ?`, [user_id]);
 };
 
+/**
+ * @async
+ * @function changePassword
+ * @description Change the password of a user. The current password is needed.
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string} email - User email address
+ * @param {string} password - Current password
+ * @param {string} password1 - New password
+ * @param {string} password2 - New password confirmation
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	User.changePassword(db, "daft.punk@elect.ro", "0neMor3T1me!", "Ar0undTheW0rld!", "Ar0undTheW0rld!")
+ */
+const changePassword = async (db, email, password, password1, password2) => {
+	if (!Checkers.strInRange([password1, password2], 8, null)) {
+		return new ModelError(400, "Le mot de passe doit contenir au moins 8 caractères.", ["password1"]);
+	}
+
+	if (!Checkers.isPasswordSafe([password1, password2])) {
+		return new ModelError(400, "Le mot de passe doit contenir au moins 8 caractères avec une majuscule, une minuscule, un nombre et un caractère spécial.", ["password1"]);
+	}
+
+	if (password1 !== password2) {
+		return new ModelError(400, "Les mots de passe ne correspondent pas.", ["password1", "password2"]);
+	}
+
+	const user = await getPwdByEmail(db, email);
+	if (user instanceof ModelError) return user;
+
+	if (!await doesPasswordMatchHash(password, user.password)) {
+		return new ModelError(400, "Le mot de passe actuel est incorrect.", ["password"]);
+	}
+
+	if (await doesPasswordMatchHash(password1, user.password)) {
+		return new ModelError(400, "Le nouveau mot de passe doit être différent de l'actuel.", ["password1"]);
+	}
+
+	const hashedPwd = await hashPassword(password1);
+	return db.query("UPDATE users SET password = ?, must_change_password = 0 WHERE user_id = ?", [hashedPwd, user.user_id]);
+};
+
+/**
+ * @async
+ * @function forgotPassword
+ * @description Send a password reset code to a user. Nothing tells if the email address is known or not, so this
+ * can't be used to find registered users: the email is sent in the background and a failed sending is only reported
+ * through the "failure" event.
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string} email - User email address
+ * @returns {Promise<{code: Number, message: string}|ModelError>} The same confirmation message for every valid email
+ * address or a ModelError
+ *
+ * @example
+ * 	User.forgotPassword(db, "daft.punk@elect.ro")
+ */
+const forgotPassword = async (db, email) => {
+	if (!Checkers.isEmail(email)) {
+		return new ModelError(400, "Vous devez fournir une adresse e-mail valide.", ["email"]);
+	}
+
+	const confirmation = { code: 202, message: "Si cette adresse e-mail est associée à un compte, un code de réinitialisation y a été envoyé." };
+
+	const user = await getPwdByEmail(db, email);
+	if (user instanceof ModelError) return confirmation;
+
+	const { passwordResetLifetime } = config.app.security;
+	const code = await UserCode.getNew(db, user.user_id, "password_reset", passwordResetLifetime);
+
+	Promise.resolve()
+		.then(() => Mail.sendPasswordReset(email, code, passwordResetLifetime))
+		.catch(err => Events.emit("failure", "Password reset email", err));
+
+	return confirmation;
+};
+
+/**
+ * @async
+ * @function resetPassword
+ * @description Set a new password using a reset code. Every token of the user is revoked.
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string} code - The reset code sent by email
+ * @param {string} password1 - New password
+ * @param {string} password2 - New password confirmation
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	User.resetPassword(db, "UkZaV1BaWDByTjZvUlkwWWhCdUFoajBJUWowdng3VFE1WU9uM3hxZXUvVWRoVlIybTB4R2NHSXUzWnJRVm9pVA", "0neMor3T1me!", "0neMor3T1me!")
+ */
+const resetPassword = async (db, code, password1, password2) => {
+	if (!Checkers.strInRange([password1, password2], 8, null)) {
+		return new ModelError(400, "Le mot de passe doit contenir au moins 8 caractères.", ["password"]);
+	}
+
+	if (!Checkers.isPasswordSafe([password1, password2])) {
+		return new ModelError(400, "Le mot de passe doit contenir au moins 8 caractères avec une majuscule, une minuscule, un nombre et un caractère spécial.", ["password"]);
+	}
+
+	if (password1 !== password2) {
+		return new ModelError(400, "Les mots de passe ne correspondent pas.", ["password"]);
+	}
+
+	const user_id = await UserCode.consume(db, code, "password_reset");
+	if (user_id instanceof ModelError) return user_id;
+
+	const hashedPwd = await hashPassword(password1);
+	await db.query("UPDATE users SET password = ?, must_change_password = 0 WHERE user_id = ?", [hashedPwd, user_id]);
+
+	return Token.revokeAll(db, user_id);
+};
+
+/**
+ * @async
+ * @function sendVerification
+ * @description Send an email address verification code to a user
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} user_id - User ID
+ * @returns {Promise<{code: Number, message: string}|ModelError>} A confirmation message or a ModelError
+ *
+ * @example
+ * 	User.sendVerification(db, 45)
+ */
+const sendVerification = async (db, user_id) => {
+	const user = await getById(db, user_id);
+	if (user instanceof ModelError) return user;
+
+	if (user.is_verified) {
+		return new ModelError(400, "Cette adresse e-mail a déjà été vérifiée.", ["email"]);
+	}
+
+	const { emailVerificationLifetime } = config.app.security;
+	const code = await UserCode.getNew(db, user.user_id, "email_verification", emailVerificationLifetime);
+
+	try {
+		await Mail.sendEmailVerification(user.email, code, emailVerificationLifetime);
+		return { code: 202, message: "Un e-mail de vérification a été envoyé." };
+	} catch (err) {
+		return new ModelError(500, "Impossible d'envoyer l'e-mail de vérification à cette adresse e-mail.");
+	}
+};
+
+/**
+ * @async
+ * @function verifyEmail
+ * @description Verify the email address of a user using the code sent to it
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string} code - The verification code sent by email
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	User.verifyEmail(db, "UkZaV1BaWDByTjZvUlkwWWhCdUFoajBJUWowdng3VFE1WU9uM3hxZXUvVWRoVlIybTB4R2NHSXUzWnJRVm9pVA")
+ */
+const verifyEmail = async (db, code) => {
+	const user_id = await UserCode.consume(db, code, "email_verification");
+	if (user_id instanceof ModelError) return user_id;
+
+	return db.query("UPDATE users SET is_verified = 1 WHERE user_id = ?", [user_id]);
+};
+
+/**
+ * @async
+ * @function unlock
+ * @description Unlock an account locked after too many failed login attempts
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} user_id - ID of the user to unlock
+ * @param {Number|string} unlocked_by - ID of the user who unlocks the account
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	User.unlock(db, 45, 1)
+ */
+const unlock = async (db, user_id, unlocked_by) => {
+	const user = await getById(db, user_id);
+	if (user instanceof ModelError) return user;
+
+	return LoginAttempt.unlock(db, user.user_id, unlocked_by);
+};
+
+/**
+ * @async
+ * @function setBookingBlocked
+ * @description Forbid or allow a user to book a table, usually after too many no-shows
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} user_id - ID of the user
+ * @param {Boolean} is_booking_blocked - Is the user forbidden to book a table
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	User.setBookingBlocked(db, 45, true)
+ */
+const setBookingBlocked = async (db, user_id, is_booking_blocked) => {
+	const user = await getById(db, user_id);
+	if (user instanceof ModelError) return user;
+
+	return db.query("UPDATE users SET is_booking_blocked = ? WHERE user_id = ?", [is_booking_blocked ? 1 : 0, user.user_id]);
+};
+
 /* ---- DELETE ---------------------------------- */
 /**
  * @async
@@ -492,5 +821,24 @@ const deleteStaff = (db, user_id) => {
  * Export
  *****************************************************/
 
-const User = { add, addStaff, login, loginWithToken, getStaff, getByEmail, getById, update, deleteStaff };
+const User = {
+	add,
+	addStaff,
+	acceptInvitation,
+	login,
+	loginWithToken,
+	getStaff,
+	getByEmail,
+	getById,
+	getAllNoShows,
+	update,
+	changePassword,
+	forgotPassword,
+	resetPassword,
+	sendVerification,
+	verifyEmail,
+	unlock,
+	setBookingBlocked,
+	deleteStaff
+};
 export default User;
\ No newline at end of file
@@ -0,0 +1,139 @@
+/**
+ * @module models/UserCode
+ * @description A UserCode is a single-use and time-limited code sent to a user by email (password reset, ...).
+ */
+import ModelError from "../../global/ModelError.js";
+import Checkers from "../../global/Checkers.js";
+import { generateCode, hashCode } from "../../global/Functions.js";
+
+/**
+ * A UserCode
+ * @typedef {Object} UserCode
+ * @property {Number} code_id - ID of the code
+ * @property {Number} user_id - ID of the user associated to this code
+ * @property {string} type - What the code is used for (password_reset, ...)
+ * @property {string} code_hash - SHA-256 hash of the code, the code itself is never stored
+ * @property {Date|string} created_at - When the code was issued
+ * @property {Date|string} expires_at - When the code will expire
+ * @property {Date|string} [used_at] - When the code was used
+ */
+
+/*****************************************************
+ * CRUD Methods
+ *****************************************************/
+
+/* ---- CREATE ---------------------------------- */
+/**
+ * @async
+ * @function getNew
+ * @description Generate a new code. Every unused code of the same type for this user is revoked.
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} user_id - ID of the user associated to this code
+ * @param {string} type - What the code is used for
+ * @param {Number} lifetime - How many minutes the code stays valid
+ * @returns {Promise<string>} The generated code
+ *
+ * @example
+ * 	UserCode.getNew(db, 45, "password_reset", 60)
+ */
+const getNew = async (db, user_id, type, lifetime) => {
+	const code = await generateCode();
+
+	await revokeAll(db, user_id, type);
+	await db.query(`
+		INSERT INTO user_codes(user_id, type, code_hash, expires_at)
+		VALUES (?, ?, ?, NOW() + INTERVAL ? MINUTE)
+		`, [user_id, type, hashCode(code), lifetime]
+	);
+
+	return code;
+};
+
+/* ---- READ ------------------------------------ */
+/**
+ * @async
+ * @function check
+ * @description Check a code without using it, for the codes which can be used many times until their expiration date
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string} code - The code itself
+ * @param {string} type - What the code is used for
+ * @returns {Promise<Number|ModelError>} The ID of the user associated to this code or a ModelError
+ *
+ * @example
+ * 	UserCode.check(db, "UkZaV1BaWDByTjZvUlkwWWhCdUFoajBJUWowdng3VFE1WU9uM3hxZXUvVWRoVlIybTB4R2NHSXUzWnJRVm9pVA", "calendar_feed")
+ */
+const check = async (db, code, type) => {
+	if (!Checkers.strInRange(code, 1, 255)) {
+		return new ModelError(400, "Vous devez fournir un code valide.", ["code"]);
+	}
+
+	const userCode = await db.query(`
+		SELECT user_id
+		FROM user_codes
+		WHERE code_hash = ? AND type = ? AND used_at IS NULL AND expires_at > NOW()
+		LIMIT 1
+	`, [hashCode(code), type]);
+
+	return userCode[0] ? userCode[0].user_id : new ModelError(400, "Ce code est invalide ou a expiré.", ["code"]);
+};
+
+/* ---- UPDATE ---------------------------------- */
+/**
+ * @async
+ * @function consume
+ * @description Use a code. A code can only be used once and before its expiration date.
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string} code - The code itself
+ * @param {string} type - What the code is used for
+ * @returns {Promise<Number|ModelError>} The ID of the user associated to this code or a ModelError
+ *
+ * @example
+ * 	UserCode.consume(db, "UkZaV1BaWDByTjZvUlkwWWhCdUFoajBJUWowdng3VFE1WU9uM3hxZXUvVWRoVlIybTB4R2NHSXUzWnJRVm9pVA", "password_reset")
+ */
+const consume = async (db, code, type) => {
+	if (!Checkers.strInRange(code, 1, 255)) {
+		return new ModelError(400, "Vous devez fournir un code valide.", ["code"]);
+	}
+
+	const code_hash = hashCode(code);
+	const result = await db.query(`
+		UPDATE user_codes
+		SET used_at = NOW()
+		WHERE code_hash = ? AND type = ? AND used_at IS NULL AND expires_at > NOW()
+	`, [code_hash, type]);
+
+	if (result.affectedRows === 0) {
+		return new ModelError(400, "Ce code est invalide, a déjà été utilisé ou a expiré.", ["code"]);
+	}
+
+	const userCode = await db.query("SELECT user_id FROM user_codes WHERE code_hash = ? AND type = ? LIMIT 1", [code_hash, type]);
+	return userCode[0].user_id;
+};
+
+/* ---- DELETE ---------------------------------- */
+/**
+ * @async
+ * @function revokeAll
+ * @description Revoke every unused code of a given type for a user
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} user_id - ID of the user
+ * @param {string} type - What the codes are used for
+ * @returns {Promise<void>}
+ *
+ * @example
+ * 	UserCode.revokeAll(db, 45, "password_reset")
+ */
+const revokeAll = async (db, user_id, type) => {
+	return db.query("DELETE FROM user_codes WHERE user_id = ? AND type = ? AND used_at IS NULL", [user_id, type]);
+};
+
+/*****************************************************
+ * Export
+ *****************************************************/
+
+const UserCode = { getNew, check, consume, revokeAll };
+export default UserCode;
\ No newline at end of file
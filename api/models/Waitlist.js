@@ -0,0 +1,395 @@
+/**
+ * @module models/Waitlist
+ * @description A customer who couldn't book a table joins the waitlist with the time window he wishes. When a table
+ * frees up, the first matching entry is offered the slot by email with a time-limited confirmation link.
+ */
+import config from "../../config/config.js";
+import Booking from "./Booking.js";
+import Schedule from "./Schedule.js";
+import User from "./User.js";
+import Mail from "../../global/Mail.js";
+import ModelError from "../../global/ModelError.js";
+import Checkers from "../../global/Checkers.js";
+import Converters from "../../global/Converters.js";
+import { generateCode, hashCode, transaction } from "../../global/Functions.js";
+
+/**
+ * A waitlist entry
+ * @typedef {Object} WaitlistEntry
+ * @property {Number} waitlist_id - ID of the entry
+ * @property {Number} user_id - ID of the user waiting for a table
+ * @property {Date|string} start_time - The sitting may start from this time
+ * @property {Date|string} end_time - The sitting may start until this time
+ * @property {Number} clients_nb - How many clients will be present
+ * @property {string} status - Where the entry stands (waiting, offered, confirmed or expired)
+ * @property {Date|string} [offered_time] - When the offered sitting starts
+ * @property {Date|string} [offer_expires_at] - When the offer will expire
+ * @property {Number} [booking_id] - ID of the booking made when the offer was confirmed
+ * @property {Date|string} created_at - When the user joined the waitlist
+ */
+
+/**
+ * @ignore
+ * @description Columns of a waitlist entry
+ * @type {string}
+ */
+const entryColumns = `
+	waitlist_id,
+	user_id,
+	start_time,
+	end_time,
+	clients_nb,
+	status,
+	offered_time,
+	offer_expires_at,
+	booking_id,
+	created_at
+`;
+
+/*****************************************************
+ * Functions
+ *****************************************************/
+
+/**
+ * @ignore
+ * @async
+ * @function findSlot
+ * @description Find the first bookable time slot in the window of a waitlist entry. Every service day of the window
+ * is searched, the earliest first.
+ * @see {@link module:models/Booking}
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {WaitlistEntry} entry - The waitlist entry
+ * @returns {Promise<Date|null>} When the sitting starts or null if no slot is free
+ *
+ * @example
+ * 	findSlot(db, <WaitlistEntry>)
+ */
+const findSlot = async (db, entry) => {
+	const start = new Date(entry.start_time);
+	const end = new Date(entry.end_time);
+	const lastDay = new Date(`${await Schedule.getServiceDay(db, end)}T00:00:00`);
+
+	for (
+		const day = new Date(`${await Schedule.getServiceDay(db, start)}T00:00:00`);
+		day <= lastDay;
+		day.setDate(day.getDate() + 1)
+	) {
+		const slots = await Booking.getAvailability(db, day, entry.clients_nb);
+		if (slots instanceof ModelError) continue;
+
+		const slot = slots.find(slot => slot.time >= start && slot.time <= end);
+		if (slot) return slot.time;
+	}
+
+	return null;
+};
+
+/**
+ * @async
+ * @function offerFreedSlot
+ * @description Offer a freed slot to the first matching waitlist entry, the oldest first. The user receives a
+ * confirmation link by email which stays valid for "config.app.bookings.waitlistOfferLifetime" minutes. It is run as
+ * a background task each time "slot.freed" is emitted and every "config.app.jobs.waitlistInterval" minutes, never
+ * while answering a request.
+ *
+ * Expired offers are closed beforehand: an entry whose offer wasn't confirmed in time leaves the waitlist for good
+ * ("expired"), and the slot it held is offered to the next matching entry in the same run.
+ * @see {@link module:jobs}
+ *
+ * @param {Promise<void>} db - Database connection
+ * @returns {Promise<WaitlistEntry|ModelError|null>} The entry which was offered a slot, null or a ModelError if the
+ * email couldn't be sent
+ *
+ * @example
+ * 	Waitlist.offerFreedSlot(db)
+ */
+const offerFreedSlot = async db => {
+	const { waitlistOfferLifetime } = config.app.bookings;
+
+	await db.query("UPDATE waitlist SET status = 'expired' WHERE status = 'offered' AND offer_expires_at <= NOW()");
+	await db.query("UPDATE waitlist SET status = 'expired' WHERE status = 'waiting' AND end_time <= NOW()");
+
+	const entries = await db.query(`
+		SELECT ${entryColumns}
+		FROM waitlist
+		WHERE status = 'waiting'
+		ORDER BY created_at, waitlist_id
+	`);
+
+	for (const entry of entries) {
+		const time = await findSlot(db, entry);
+		if (!time) continue;
+
+		const user = await User.getById(db, entry.user_id);
+		if (user instanceof ModelError) continue;
+
+		const code = await generateCode();
+
+		await db.query(`
+			UPDATE waitlist
+			SET status = 'offered', offered_time = ?, offer_code_hash = ?, offer_expires_at = NOW() + INTERVAL ? MINUTE
+			WHERE waitlist_id = ?
+		`, [time, hashCode(code), waitlistOfferLifetime, entry.waitlist_id]);
+
+		try {
+			await Mail.sendWaitlistOffer(user.email, code, time, entry.clients_nb, waitlistOfferLifetime);
+		} catch (err) {
+			// The user can't confirm without the link, the entry keeps its place
+			await db.query(`
+				UPDATE waitlist
+				SET status = 'waiting', offered_time = NULL, offer_code_hash = NULL, offer_expires_at = NULL
+				WHERE waitlist_id = ?
+			`, [entry.waitlist_id]);
+
+			return new ModelError(500, `L'offre n'a pas pu être envoyée par e-mail : ${err.message}`);
+		}
+
+		return getById(db, entry.waitlist_id);
+	}
+
+	return null;
+};
+
+/*****************************************************
+ * CRUD Methods
+ *****************************************************/
+
+/* ---- CREATE ---------------------------------- */
+/**
+ * @async
+ * @function add
+ * @description Add a user to the waitlist. The sitting may start at any time of the window.
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} user_id - ID of the user
+ * @param {Date|string} start_time - The sitting may start from this time
+ * @param {Date|string} end_time - The sitting may start until this time
+ * @param {Number|string} clients_nb - How many clients will be present
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	Waitlist.add(db, 1, "2021-06-03 19:00:00", "2021-06-03 21:00:00", 4)
+ */
+const add = async (db, user_id, start_time, end_time, clients_nb) => {
+	const start = new Date(start_time);
+	const end = new Date(end_time);
+
+	if (!Checkers.isDate(start)) {
+		return new ModelError(400, "Vous devez fournir une heure de début valide.", ["start_time"]);
+	}
+
+	if (!Checkers.isDate(end)) {
+		return new ModelError(400, "Vous devez fournir une heure de fin valide.", ["end_time"]);
+	}
+
+	if (!Checkers.isDateLowerThan(start, end, true, true)) {
+		return new ModelError(400, "L'heure de début doit précéder l'heure de fin.", ["start_time", "end_time"]);
+	}
+
+	if (end <= new Date()) {
+		return new ModelError(400, "Le créneau souhaité est déjà passé.", ["end_time"]);
+	}
+
+	if (!Checkers.isGreaterThan(Converters.toNumber(clients_nb), 0)) {
+		return new ModelError(400, "Vous devez fournir un nombre valide de personnes.", ["clients_nb"]);
+	}
+
+	const user = await User.getById(db, user_id);
+	if (user instanceof ModelError) return user;
+
+	if (!user.is_verified) {
+		return new ModelError(403, "L'adresse e-mail doit être vérifiée avant de pouvoir réserver.", ["user_id"]);
+	}
+
+	if (user.is_booking_blocked) {
+		return new ModelError(403, "Vous ne pouvez plus réserver suite à des absences répétées.", ["user_id"]);
+	}
+
+	return db.query(`
+		INSERT INTO waitlist(user_id, start_time, end_time, clients_nb)
+		VALUES (?, ?, ?, ?)
+	`, [user_id, start, end, clients_nb]
+	);
+};
+
+/* ---- READ ------------------------------------ */
+/**
+ * @async
+ * @function getById
+ * @description Get a waitlist entry by its ID
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} waitlist_id - ID of the entry
+ * @returns {Promise<WaitlistEntry|ModelError>} A waitlist entry or a ModelError
+ *
+ * @example
+ * 	Waitlist.getById(db, 4)
+ */
+const getById = async (db, waitlist_id) => {
+	const entry = await db.query(`SELECT ${entryColumns} FROM waitlist WHERE waitlist_id = ?`, [waitlist_id]);
+
+	return entry[0]
+		? entry[0]
+		: new ModelError(404, `Aucune inscription sur la liste d'attente n'a été trouvée avec l'ID "${waitlist_id}".`);
+};
+
+/**
+ * @async
+ * @function getByUserId
+ * @description Get the waitlist entries of a user, the most recent first
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} user_id - ID of the user
+ * @returns {Promise<Array<WaitlistEntry>>} A list of waitlist entries
+ *
+ * @example
+ * 	Waitlist.getByUserId(db, 1)
+ */
+const getByUserId = async (db, user_id) => {
+	return db.query(`
+		SELECT ${entryColumns}
+		FROM waitlist
+		WHERE user_id = ?
+		ORDER BY created_at DESC
+	`, [user_id]);
+};
+
+/**
+ * @async
+ * @function getAllPending
+ * @description Get every entry still waiting for a slot or for a confirmation, the oldest first
+ *
+ * @param {Promise<void>} db - Database connection
+ * @returns {Promise<Array<WaitlistEntry>>} A list of waitlist entries
+ *
+ * @example
+ * 	Waitlist.getAllPending(db)
+ */
+const getAllPending = async db => {
+	return db.query(`
+		SELECT ${entryColumns}
+		FROM waitlist
+		WHERE status IN ('waiting', 'offered')
+		ORDER BY created_at, waitlist_id
+	`);
+};
+
+/**
+ * @async
+ * @function getOwnerId
+ * @description Get the ID of the user of a waitlist entry
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} waitlist_id - ID of the entry
+ * @returns {Promise<Number|null|undefined>} The user ID or undefined if the entry doesn't exist
+ *
+ * @example
+ * 	Waitlist.getOwnerId(db, 4)
+ */
+const getOwnerId = async (db, waitlist_id) => {
+	const entry = await db.query("SELECT user_id FROM waitlist WHERE waitlist_id = ? LIMIT 1", [waitlist_id]);
+	return entry[0] ? entry[0].user_id : undefined;
+};
+
+/* ---- UPDATE ---------------------------------- */
+/**
+ * @async
+ * @function confirm
+ * @description Book the slot offered to a waitlist entry using the code sent by email. The entry is claimed first,
+ * so a code can only be used once, and the booking is made in the same transaction. When the slot has been taken
+ * in the meantime, the entry is put back on the waitlist.
+ * @see {@link module:models/Booking}
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {string} code - The confirmation code
+ * @param {Number|string} user_id - ID of the logged in user
+ * @returns {Promise<WaitlistEntry|ModelError>} The confirmed entry or a ModelError
+ *
+ * @example
+ * 	Waitlist.confirm(db, "UkZaV1BaWDByTjZvUlkwWWhCdUFoajBJUWowdng3VFE1WU9uM3hxZXUvVWRoVlIybTB4R2NHSXUzWnJRVm9pVA", 1)
+ */
+const confirm = async (db, code, user_id) => {
+	if (!Checkers.strInRange(code, 1, 255)) {
+		return new ModelError(400, "Vous devez fournir un code de confirmation valide.", ["code"]);
+	}
+
+	const entry = await db.query(`
+		SELECT ${entryColumns}
+		FROM waitlist
+		WHERE offer_code_hash = ? AND status = 'offered' AND offer_expires_at > NOW()
+		LIMIT 1
+	`, [hashCode(code)]);
+
+	if (!entry[0]) {
+		return new ModelError(400, "Cette proposition est invalide, a déjà été confirmée ou a expiré.", ["code"]);
+	}
+
+	if (`${entry[0].user_id}` !== `${user_id}`) {
+		return new ModelError(403, "Cette proposition ne vous est pas destinée.", ["code"]);
+	}
+
+	const booking = await transaction(db, async () => {
+		const claim = await db.query(`
+			UPDATE waitlist
+			SET status = 'confirmed', offer_code_hash = NULL
+			WHERE waitlist_id = ? AND status = 'offered' AND offer_expires_at > NOW()
+		`, [entry[0].waitlist_id]);
+
+		if (claim.affectedRows === 0) {
+			return new ModelError(400, "Cette proposition est invalide, a déjà été confirmée ou a expiré.", ["code"]);
+		}
+
+		const added = await Booking.add(db, entry[0].user_id, entry[0].offered_time, entry[0].clients_nb);
+
+		// The slot was taken in the meantime, the entry goes back on the waitlist
+		if (added instanceof ModelError) {
+			await db.query(`
+				UPDATE waitlist
+				SET status = 'waiting', offered_time = NULL, offer_code_hash = NULL, offer_expires_at = NULL
+				WHERE waitlist_id = ?
+			`, [entry[0].waitlist_id]);
+
+			return null;
+		}
+
+		await db.query("UPDATE waitlist SET booking_id = ? WHERE waitlist_id = ?", [added.insertId, entry[0].waitlist_id]);
+		return added;
+	});
+
+	if (booking instanceof ModelError) return booking;
+
+	if (!booking) {
+		return new ModelError(409, "Ce créneau n'est plus disponible, vous restez sur la liste d'attente.", ["code"]);
+	}
+
+	return getById(db, entry[0].waitlist_id);
+};
+
+/* ---- DELETE ---------------------------------- */
+/**
+ * @async
+ * @function delete
+ * @description Remove an entry from the waitlist
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {Number|string} waitlist_id - ID of the entry
+ * @returns {Promise<void|ModelError>} Nothing or a ModelError
+ *
+ * @example
+ * 	Waitlist.delete(db, 4)
+ */
+const del = async (db, waitlist_id) => {
+	const result = await db.query("DELETE FROM waitlist WHERE waitlist_id = ?", [waitlist_id]);
+
+	return result.affectedRows > 0
+		? result
+		: new ModelError(404, `Aucune inscription sur la liste d'attente n'a été trouvée avec l'ID "${waitlist_id}".`);
+};
+
+/*****************************************************
+ * Export
+ *****************************************************/
+
+const Waitlist = { add, offerFreedSlot, getById, getByUserId, getAllPending, getOwnerId, confirm, delete: del };
+export default Waitlist;
\ No newline at end of file
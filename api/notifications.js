@@ -0,0 +1,34 @@
+/** @module notifications */
+import Events from "../global/Events.js";
+import Mail from "../global/Mail.js";
+
+/**
+ * @description Email sent for each event
+ * @type {Object<string, function(*): Promise<*>>}
+ * @see {@link module:Events}
+ */
+const mails = {
+	"booking.created": Mail.sendBookingCreated,
+	"booking.updated": Mail.sendBookingUpdated,
+	"booking.cancelled": Mail.sendBookingCancelled
+};
+
+/**
+ * @function startNotifications
+ * @description Send an email to the user concerned by each event. A failed sending is only reported through the
+ * "failure" event. Walk-ins have no user, so nothing is sent about them.
+ *
+ * @example
+ * 	startNotifications()
+ */
+export default function startNotifications() {
+	for (const [event, send] of Object.entries(mails)) {
+		Events.on(event, data => {
+			if (!data || !data.user) return;
+
+			Promise.resolve()
+				.then(() => send(data))
+				.catch(err => Events.emit("failure", `Email for "${event}"`, err));
+		});
+	}
+}
\ No newline at end of file
@@ -0,0 +1,101 @@
+/**
+ * @module permissions
+ * @description Permission matrix of the API. Each permission lists the roles allowed to use it, every role higher in
+ * the hierarchy is allowed too (customer < waiter/cook < owner). A "customer" permission is then open to any logged
+ * in user.
+ *
+ * Users who must change their password only hold the permissions listed in "passwordChangePermissions" until it is
+ * done.
+ * @see {@link module:models/Role}
+ */
+
+/**
+ * @namespace
+ * @type {Object<string, Array<string>>}
+ */
+const permissions = {
+	/* ---- Users ----------------------------------- */
+	"users.read": ["customer"],
+	"users.update": ["owner"],
+	"users.sessions": ["customer"],
+	"users.password": ["customer"],
+	"users.verify": ["customer"],
+	"users.staff.add": ["owner"],
+	"users.staff.invitations": ["owner"],
+	"users.staff.read": ["owner"],
+	"users.staff.delete": ["owner"],
+	"users.lockouts": ["owner"],
+	"users.noshows": ["owner"],
+	"roles.read": ["owner"],
+
+	/* ---- Stock ----------------------------------- */
+	"stock.add": ["cook"],
+	"stock.read": ["waiter", "cook"],
+	"stock.update": ["cook"],
+	"stock.delete": ["cook"],
+	"units.read": ["customer"],
+	"measurement.read": ["customer"],
+
+	/* ---- Menus ----------------------------------- */
+	"menus.add": ["owner"],
+	"menus.update": ["owner"],
+	"menus.delete": ["owner"],
+
+	/* ---- Tables ---------------------------------- */
+	"tables.add": ["owner"],
+	"tables.read": ["waiter", "cook"],
+	"tables.update": ["waiter"],
+	"tables.delete": ["owner"],
+	"tables.joins": ["owner"],
+	"tables.layout": ["owner"],
+	"tables.zones": ["owner"],
+
+	/* ---- Bookings -------------------------------- */
+	"bookings.add": ["customer"],
+	"bookings.read": ["customer"],
+	"bookings.availability": ["customer"],
+	"bookings.read.all": ["waiter"],
+	"bookings.update": ["waiter"],
+	"bookings.cancel": ["customer"],
+	"bookings.delete": ["waiter"],
+	"bookings.walkin": ["waiter"],
+
+	/* ---- Waitlist -------------------------------- */
+	"waitlist.add": ["customer"],
+	"waitlist.read": ["customer"],
+	"waitlist.read.all": ["waiter"],
+	"waitlist.delete": ["customer"],
+
+	/* ---- Orders ---------------------------------- */
+	"orders.add": ["customer"],
+	"orders.read": ["customer"],
+	"orders.read.all": ["waiter", "cook"],
+	"orders.update": ["waiter"],
+	"orders.delete": ["waiter"],
+	"orders.menus.read": ["customer"],
+	"orders.menus.waiting": ["customer"],
+	"orders.menus.kitchen": ["cook"],
+
+	/* ---- Payment --------------------------------- */
+	"payment.pay": ["customer"],
+
+	/* ---- Statistics ------------------------------ */
+	"stats.add": ["owner"],
+	"stats.read": ["owner"],
+
+	/* ---- Schedule -------------------------------- */
+	"schedule.add": ["owner"],
+	"schedule.update": ["owner"],
+	"schedule.delete": ["owner"],
+
+	/* ---- Audit ----------------------------------- */
+	"audit.read": ["owner"]
+};
+
+/**
+ * @description Permissions still held by users who must change their password
+ * @type {Array<string>}
+ */
+export const passwordChangePermissions = ["users.password", "users.sessions"];
+
+export default permissions;
\ No newline at end of file
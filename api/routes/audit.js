@@ -0,0 +1,34 @@
+import { Router } from "express";
+import middlewares from "../middlewares/index.js";
+import AuditLog from "../models/AuditLog.js";
+import ModelError from "../../global/ModelError.js";
+
+const route = Router();
+
+export default (router) => {
+	router.use("/audit", route);
+
+	/* ---- READ ------------------------------------ */
+	route.get(
+		"/",
+		middlewares.authorize("audit.read"),
+		middlewares.database,
+		async (request, response) => {
+			const { user_id, entity, entity_id, from, to } = request.query;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			AuditLog.getAll(db, user_id, entity, entity_id, from, to)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(200).json({ code: 200, logs: result }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+};
\ No newline at end of file
@@ -1,7 +1,9 @@
 import { Router } from "express";
 import middlewares from "../middlewares/index.js";
 import Booking from "../models/Booking.js";
+import StatusChange from "../models/StatusChange.js";
 import ModelError from "../../global/ModelError.js";
+import Calendar from "../../global/Calendar.js";
 
 const route = Router();
 
@@ -11,7 +13,9 @@ export default (router) => {
 	/* ---- CREATE ---------------------------------- */
 	route.post(
 		"/",
+		middlewares.authorize("bookings.add"),
 		middlewares.checkParams("user_id", "time", "clients_nb"),
+		middlewares.audit("booking", "booking_id", Booking.getById),
 		middlewares.database,
 		async (request, response) => {
 			const { user_id, time, clients_nb } = request.body;
@@ -32,9 +36,58 @@ export default (router) => {
 		}
 	);
 
+	route.post(
+		"/walkin",
+		middlewares.authorize("bookings.walkin"),
+		middlewares.checkParams("table_id", "clients_nb"),
+		middlewares.audit("booking", "booking_id", Booking.getById, "walk_in"),
+		middlewares.database,
+		async (request, response) => {
+			const { table_id, clients_nb } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Booking.addWalkIn(db, table_id, clients_nb, request.user.user_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Clients installés.", booking_id: result.insertId }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.post(
+		"/feed",
+		middlewares.authorize("bookings.read"),
+		middlewares.audit("calendar_feed"),
+		middlewares.database,
+		async (request, response) => {
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Booking.getFeedUrl(db, request.user.user_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(200).json({ code: 200, url: result }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
 	/* ---- READ ------------------------------------ */
 	route.get(
 		"/all",
+		middlewares.authorize("bookings.read.all"),
 		middlewares.database,
 		async (request, response) => {
 			const db = await request.database;
@@ -56,6 +109,7 @@ export default (router) => {
 
 	route.get(
 		"/active/all",
+		middlewares.authorize("bookings.read.all"),
 		middlewares.database,
 		async (request, response) => {
 			const db = await request.database;
@@ -77,6 +131,7 @@ export default (router) => {
 
 	route.get(
 		"/today/all",
+		middlewares.authorize("bookings.read.all"),
 		middlewares.database,
 		async (request, response) => {
 			const db = await request.database;
@@ -96,8 +151,150 @@ export default (router) => {
 		}
 	);
 
+	route.get(
+		"/availability",
+		middlewares.authorize("bookings.availability"),
+		middlewares.database,
+		async (request, response) => {
+			const { date, clients_nb } = request.query;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Booking.getAvailability(db, date, clients_nb)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(200).json({ code: 200, slots: result }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.get(
+		"/walkin/wait",
+		middlewares.authorize("bookings.walkin"),
+		middlewares.database,
+		async (request, response) => {
+			const { clients_nb } = request.query;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Booking.getWalkInWait(db, clients_nb)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(200).json({ code: 200, wait: result }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.get(
+		"/feed/:code",
+		middlewares.checkParams("code"),
+		middlewares.database,
+		async (request, response) => {
+			const { code } = request.params;
+			const db = await request.database;
+
+			Booking.getFeed(db, code)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.set("Content-Type", "text/calendar; charset=utf-8");
+						response.set("Content-Disposition", "attachment; filename=\"bookings.ics\"");
+						response.status(200).send(Calendar.getCalendar(result, "Réservations - The Good Fork")).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.get(
+		"/user_id/:user_id/ics",
+		middlewares.authorize("bookings.read"),
+		middlewares.checkParams("user_id"),
+		middlewares.database,
+		async (request, response) => {
+			const { user_id } = request.params;
+			const db = await request.database;
+
+			Booking.getAllUpcoming(db, user_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.set("Content-Type", "text/calendar; charset=utf-8");
+						response.set("Content-Disposition", "attachment; filename=\"bookings.ics\"");
+						response.status(200).send(Calendar.getCalendar(result, "Mes réservations - The Good Fork")).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.get(
+		"/:booking_id/status/history",
+		middlewares.authorize("bookings.read.all"),
+		middlewares.checkParams("booking_id"),
+		middlewares.database,
+		async (request, response) => {
+			const { booking_id } = request.params;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			StatusChange.getAll(db, "booking", booking_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(200).json({ code: 200, changes: result }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.get(
+		"/:booking_id/ics",
+		middlewares.authorize("bookings.read"),
+		middlewares.checkParams("booking_id"),
+		middlewares.database,
+		async (request, response) => {
+			const { booking_id } = request.params;
+			const db = await request.database;
+
+			Booking.getById(db, booking_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.set("Content-Type", "text/calendar; charset=utf-8");
+						response.set("Content-Disposition", `attachment; filename="booking-${booking_id}.ics"`);
+						response.status(200).send(Calendar.getCalendar([result], "Réservation - The Good Fork")).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
 	route.get(
 		"/:booking_id",
+		middlewares.authorize("bookings.read"),
 		middlewares.checkParams("booking_id"),
 		middlewares.database,
 		async (request, response) => {
@@ -121,6 +318,7 @@ export default (router) => {
 
 	route.get(
 		"/user_id/:user_id",
+		middlewares.authorize("bookings.read"),
 		middlewares.checkParams("user_id"),
 		middlewares.database,
 		async (request, response) => {
@@ -144,6 +342,7 @@ export default (router) => {
 
 	route.get(
 		"/user_id/active/:user_id",
+		middlewares.authorize("bookings.read"),
 		middlewares.checkParams("user_id"),
 		middlewares.database,
 		async (request, response) => {
@@ -168,17 +367,17 @@ export default (router) => {
 	/* ---- UPDATE ------------------------------------ */
 	route.put(
 		"/",
+		middlewares.authorize("bookings.update"),
 		middlewares.checkParams("booking_id"),
+		middlewares.audit("booking", "booking_id", Booking.getById),
 		middlewares.database,
 		async (request, response) => {
-			const {
-				booking_id, table_id, time, clients_nb, is_client_on_place, can_client_pay, is_finished, is_paid
-			} = request.body;
+			const { booking_id, table_id, time, clients_nb } = request.body;
 			const db = await request.database;
 
 			response.set("Content-Type", "application/json");
 
-			Booking.update(db, booking_id, table_id, time, clients_nb, is_client_on_place, can_client_pay, is_finished, is_paid)
+			Booking.update(db, booking_id, table_id, time, clients_nb)
 				.then(result => {
 					if (result instanceof ModelError) {
 						response.status(result.code()).json(result.json()).end();
@@ -191,10 +390,86 @@ export default (router) => {
 		}
 	);
 
+	route.post(
+		"/:booking_id/status",
+		middlewares.authorize("bookings.update"),
+		middlewares.checkParams("status"),
+		middlewares.audit("booking", "booking_id", Booking.getById, "status"),
+		middlewares.database,
+		async (request, response) => {
+			const { booking_id } = request.params;
+			const { status } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Booking.setStatus(db, booking_id, status, request.user.user_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Statut de la réservation mis à jour." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.post(
+		"/:booking_id/cancel",
+		middlewares.authorize("bookings.cancel"),
+		middlewares.audit("booking", "booking_id", Booking.getById, "cancel"),
+		middlewares.database,
+		async (request, response) => {
+			const { booking_id } = request.params;
+			const { reason } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Booking.cancel(db, booking_id, reason)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Réservation annulée." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
 	/* ---- DELETE ------------------------------------ */
+	route.delete(
+		"/feed",
+		middlewares.authorize("bookings.read"),
+		middlewares.audit("calendar_feed"),
+		middlewares.database,
+		async (request, response) => {
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Booking.revokeFeed(db, request.user.user_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Flux de calendrier révoqué." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
 	route.delete(
 		"/",
+		middlewares.authorize("bookings.delete"),
 		middlewares.checkParams("booking_id"),
+		middlewares.audit("booking", "booking_id", Booking.getById),
 		middlewares.database,
 		async (request, response) => {
 			const { booking_id } = request.body;
@@ -0,0 +1,55 @@
+import { Router } from "express";
+import middlewares from "../middlewares/index.js";
+import BookingsStatistics from "../models/BookingsStatistics.js";
+import ModelError from "../../global/ModelError.js";
+
+const route = Router();
+
+export default (router) => {
+	router.use("/stats/bookings", route);
+
+	/* ---- READ ------------------------------------ */
+	route.get(
+		"/today",
+		middlewares.authorize("stats.read"),
+		middlewares.database,
+		async (request, response) => {
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			BookingsStatistics.getToday(db)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(200).json({ code: 200, stat: result }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.get(
+		"/week",
+		middlewares.authorize("stats.read"),
+		middlewares.database,
+		async (request, response) => {
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			BookingsStatistics.getWeek(db)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(200).json({ code: 200, stats: result }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+};
\ No newline at end of file
@@ -13,6 +13,7 @@ export default (router) => {
 	/* ---- READ ------------------------------------ */
 	route.get(
 		"/all",
+		middlewares.authorize("measurement.read"),
 		middlewares.database,
 		async (request, response) => {
 			const { ordered, forStock } = request.query;
@@ -37,6 +38,7 @@ export default (router) => {
 
 	route.get(
 		"/:name",
+		middlewares.authorize("measurement.read"),
 		middlewares.database,
 		async (request, response) => {
 			const { name } = request.params;
@@ -59,6 +61,7 @@ export default (router) => {
 
 	route.get(
 		"/units/:unit_id",
+		middlewares.authorize("measurement.read"),
 		middlewares.database,
 		async (request, response) => {
 			const { unit_id } = request.params;
@@ -81,6 +84,7 @@ export default (router) => {
 
 	route.get(
 		"/types/all",
+		middlewares.authorize("measurement.read"),
 		middlewares.database,
 		async (request, response) => {
 			const db = await request.database;
@@ -102,6 +106,7 @@ export default (router) => {
 
 	route.post(
 		"/convert",
+		middlewares.authorize("measurement.read"),
 		middlewares.checkParams("value", "from", "to"),
 		middlewares.database,
 		async (request, response) => {
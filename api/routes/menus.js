@@ -28,7 +28,9 @@ export default (router) => {
 	/* ---- CREATE ---------------------------------- */
 	route.post(
 		"/",
+		middlewares.authorize("menus.add"),
 		middlewares.checkParams("type"),
+		middlewares.audit("menu", "menu_id", Menu.getById),
 		middlewares.database,
 		async (request, response) => {
 			const { type, name, description, price } = request.body;
@@ -51,6 +53,8 @@ export default (router) => {
 
 	route.post(
 		"/upload/illustration",
+		middlewares.authorize("menus.update"),
+		middlewares.audit("menu", "menu_id", Menu.getById, "update"),
 		middlewares.database,
 		async (request, response) => {
 			response.set("Content-Type", "application/json");
@@ -84,7 +88,9 @@ export default (router) => {
 
 	route.post(
 		"/ingredients",
+		middlewares.authorize("menus.update"),
 		middlewares.checkParams("menu_id", "name", "units", "units_unit_id"),
+		middlewares.audit("menu_ingredient", "ingredient_id", Menu.getIngredientById),
 		middlewares.database,
 		async (request, response) => {
 			const { menu_id, name, units, units_unit_id } = request.body;
@@ -105,6 +111,31 @@ export default (router) => {
 		}
 	);
 
+	route.post(
+		"/modifiers",
+		middlewares.authorize("menus.update"),
+		middlewares.checkParams("menu_id", "name"),
+		middlewares.audit("menu_modifier", "modifier_id", Menu.getModifierById),
+		middlewares.database,
+		async (request, response) => {
+			const { menu_id, name, price, group_name } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Menu.addModifier(db, menu_id, name, price, group_name)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "L'option a été ajoutée." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
 	/* ---- READ ------------------------------------ */
 	route.get(
 		"/all",
@@ -174,6 +205,8 @@ export default (router) => {
 	/* ---- UPDATE ------------------------------------ */
 	route.put(
 		"/",
+		middlewares.authorize("menus.update"),
+		middlewares.audit("menu", "menu_id", Menu.getById),
 		middlewares.database,
 		async (request, response) => {
 			const { menu_id, type_id, name, description, price } = request.body;
@@ -196,7 +229,9 @@ export default (router) => {
 
 	route.put(
 		"/ingredients",
+		middlewares.authorize("menus.update"),
 		middlewares.checkParams("ingredient_id"),
+		middlewares.audit("menu_ingredient", "ingredient_id", Menu.getIngredientById),
 		middlewares.database,
 		async (request, response) => {
 			const { ingredient_id, name, units, units_unit_id } = request.body;
@@ -217,10 +252,37 @@ export default (router) => {
 		}
 	);
 
+	route.put(
+		"/modifiers",
+		middlewares.authorize("menus.update"),
+		middlewares.checkParams("modifier_id"),
+		middlewares.audit("menu_modifier", "modifier_id", Menu.getModifierById),
+		middlewares.database,
+		async (request, response) => {
+			const { modifier_id, name, price, group_name } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Menu.updateModifier(db, modifier_id, name, price, group_name)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Option mise à jour." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
 	/* ---- DELETE ------------------------------------ */
 	route.delete(
 		"/",
+		middlewares.authorize("menus.delete"),
 		middlewares.checkParams("menu_id"),
+		middlewares.audit("menu", "menu_id", Menu.getById),
 		middlewares.database,
 		async (request, response) => {
 			const { menu_id } = request.body;
@@ -243,7 +305,9 @@ export default (router) => {
 
 	route.delete(
 		"/ingredients",
+		middlewares.authorize("menus.update"),
 		middlewares.checkParams("ingredient_id"),
+		middlewares.audit("menu_ingredient", "ingredient_id", Menu.getIngredientById),
 		middlewares.database,
 		async (request, response) => {
 			const { ingredient_id } = request.body;
@@ -263,4 +327,29 @@ export default (router) => {
 				.finally(() => db ? db.release() : null);
 		}
 	);
+
+	route.delete(
+		"/modifiers",
+		middlewares.authorize("menus.update"),
+		middlewares.checkParams("modifier_id"),
+		middlewares.audit("menu_modifier", "modifier_id", Menu.getModifierById),
+		middlewares.database,
+		async (request, response) => {
+			const { modifier_id } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Menu.deleteModifier(db, modifier_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Option retirée du menu." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
 };
\ No newline at end of file
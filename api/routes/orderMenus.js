@@ -1,6 +1,7 @@
 import { Router } from "express";
 import middlewares from "../middlewares/index.js";
 import OrderMenus from "../models/OrderMenus.js";
+import Order from "../models/Order.js";
 import ModelError from "../../global/ModelError.js";
 
 const route = Router();
@@ -11,6 +12,7 @@ export default (router) => {
 	/* ---- READ ------------------------------------ */
 	route.get(
 		"/user_id/:user_id",
+		middlewares.authorize("orders.menus.read"),
 		middlewares.database,
 		async (request, response) => {
 			const { user_id } = request.params;
@@ -33,6 +35,7 @@ export default (router) => {
 
 	route.get(
 		"/bookings/user_id/:user_id",
+		middlewares.authorize("orders.menus.read"),
 		middlewares.database,
 		async (request, response) => {
 			const { user_id } = request.params;
@@ -55,6 +58,7 @@ export default (router) => {
 
 	route.get(
 		"/bookings/booking_id/:booking_id",
+		middlewares.authorize("orders.menus.read"),
 		middlewares.database,
 		async (request, response) => {
 			const { booking_id } = request.params;
@@ -77,6 +81,7 @@ export default (router) => {
 
 	route.get(
 		"/order_id/:order_id",
+		middlewares.authorize("orders.menus.read"),
 		middlewares.database,
 		async (request, response) => {
 			const { order_id } = request.params;
@@ -99,6 +104,7 @@ export default (router) => {
 
 	route.get(
 		"/waiting",
+		middlewares.authorize("orders.menus.kitchen"),
 		middlewares.database,
 		async (request, response) => {
 			const db = await request.database;
@@ -120,7 +126,9 @@ export default (router) => {
 
 	route.post(
 		"/waitingToReady",
+		middlewares.authorize("orders.menus.kitchen"),
 		middlewares.checkParams("order_id", "menus_ids"),
+		middlewares.audit("order", "order_id", Order.getById, "update"),
 		middlewares.database,
 		async (request, response) => {
 			const { order_id, menus_ids } = request.body;
@@ -144,7 +152,9 @@ export default (router) => {
 	/* ---- UPDATE ------------------------------------ */
 	route.put(
 		"/toWaiting",
+		middlewares.authorize("orders.menus.waiting"),
 		middlewares.checkParams("order_id", "menu_id"),
+		middlewares.audit("order", "order_id", Order.getById),
 		middlewares.database,
 		async (request, response) => {
 			const { order_id, menu_id } = request.body;
@@ -11,7 +11,9 @@ export default (router) => {
 	/* ---- CREATE ---------------------------------- */
 	route.post(
 		"/",
+		middlewares.authorize("orders.add"),
 		middlewares.checkParams("user_id", "menus", "is_take_away"),
+		middlewares.audit("order", "order_id", Order.getById),
 		middlewares.database,
 		async (request, response) => {
 			const { booking_id, user_id, additional_infos, menus, is_take_away } = request.body;
@@ -35,6 +37,7 @@ export default (router) => {
 	/* ---- READ ------------------------------------ */
 	route.get(
 		"/all",
+		middlewares.authorize("orders.read.all"),
 		middlewares.database,
 		async (request, response) => {
 			const db = await request.database;
@@ -56,6 +59,7 @@ export default (router) => {
 
 	route.get(
 		"/today/all",
+		middlewares.authorize("orders.read.all"),
 		middlewares.database,
 		async (request, response) => {
 			const db = await request.database;
@@ -77,6 +81,7 @@ export default (router) => {
 
 	route.get(
 		"/:order_id",
+		middlewares.authorize("orders.read"),
 		middlewares.checkParams("order_id"),
 		middlewares.database,
 		async (request, response) => {
@@ -100,6 +105,7 @@ export default (router) => {
 
 	route.get(
 		"/user_id/:user_id",
+		middlewares.authorize("orders.read"),
 		middlewares.checkParams("user_id"),
 		middlewares.database,
 		async (request, response) => {
@@ -124,15 +130,17 @@ export default (router) => {
 	/* ---- UPDATE ------------------------------------ */
 	route.put(
 		"/",
+		middlewares.authorize("orders.update"),
 		middlewares.checkParams("order_id"),
+		middlewares.audit("order", "order_id", Order.getById),
 		middlewares.database,
 		async (request, response) => {
-			const { order_id, additional_infos, total_price, is_finished } = request.body;
+			const { order_id, additional_infos, is_finished } = request.body;
 			const db = await request.database;
 
 			response.set("Content-Type", "application/json");
 
-			Order.update(db, order_id, additional_infos, total_price, is_finished)
+			Order.update(db, order_id, additional_infos, is_finished)
 				.then(result => {
 					if (result instanceof ModelError) {
 						response.status(result.code()).json(result.json()).end();
@@ -148,7 +156,9 @@ export default (router) => {
 	/* ---- DELETE ------------------------------------ */
 	route.delete(
 		"/",
+		middlewares.authorize("orders.delete"),
 		middlewares.checkParams("order_id"),
+		middlewares.audit("order", "order_id", Order.getById),
 		middlewares.database,
 		async (request, response) => {
 			const { order_id } = request.body;
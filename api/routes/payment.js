@@ -2,6 +2,7 @@ import { Router } from "express";
 import middlewares from "../middlewares/index.js";
 import ModelError from "../../global/ModelError.js";
 import Payment from "../models/Payment.js";
+import Booking from "../models/Booking.js";
 
 const route = Router();
 
@@ -11,15 +12,17 @@ export default (router) => {
 	/* ---- CREATE ---------------------------------- */
 	route.post(
 		"/takeaway",
+		middlewares.authorize("payment.pay"),
 		middlewares.checkParams("user_id", "menus"),
+		middlewares.audit("order", null, null, "pay"),
 		middlewares.database,
 		async (request, response) => {
-			const { user_id, additional_infos, menus } = request.body;
+			const { user_id, additional_infos, menus, pickup_time } = request.body;
 			const db = await request.database;
 
 			response.set("Content-Type", "application/json");
 
-			Payment.payTakeAway(db, user_id, additional_infos, menus)
+			Payment.payTakeAway(db, user_id, additional_infos, menus, pickup_time)
 				.then(result => {
 					if (result instanceof ModelError) {
 						response.status(result.code()).json(result.json()).end();
@@ -34,7 +37,9 @@ export default (router) => {
 
 	route.post(
 		"/booking",
+		middlewares.authorize("payment.pay"),
 		middlewares.checkParams("booking_id"),
+		middlewares.audit("booking", "booking_id", Booking.getById, "pay"),
 		middlewares.database,
 		async (request, response) => {
 			const { booking_id } = request.body;
@@ -42,7 +47,7 @@ export default (router) => {
 
 			response.set("Content-Type", "application/json");
 
-			Payment.payBooking(db, booking_id)
+			Payment.payBooking(db, booking_id, request.user.user_id)
 				.then(result => {
 					if (result instanceof ModelError) {
 						response.status(result.code()).json(result.json()).end();
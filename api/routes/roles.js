@@ -11,6 +11,7 @@ export default (router) => {
 	/* ---- READ ------------------------------------ */
 	route.get(
 		"/all",
+		middlewares.authorize("roles.read"),
 		middlewares.database,
 		async (request, response) => {
 			const db = await request.database;
@@ -11,7 +11,9 @@ export default (router) => {
 	/* ---- CREATE ---------------------------------- */
 	route.post(
 		"/benefits",
+		middlewares.authorize("stats.add"),
 		middlewares.checkParams("benefits"),
+		middlewares.audit("sales_statistics"),
 		middlewares.database,
 		async (request, response) => {
 			const { benefits } = request.body;
@@ -35,6 +37,7 @@ export default (router) => {
 	/* ---- READ ------------------------------------ */
 	route.get(
 		"/today",
+		middlewares.authorize("stats.read"),
 		middlewares.database,
 		async (request, response) => {
 			const db = await request.database;
@@ -56,6 +59,7 @@ export default (router) => {
 
 	route.get(
 		"/week",
+		middlewares.authorize("stats.read"),
 		middlewares.database,
 		async (request, response) => {
 			const db = await request.database;
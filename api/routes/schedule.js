@@ -0,0 +1,229 @@
+import { Router } from "express";
+import middlewares from "../middlewares/index.js";
+import Schedule from "../models/Schedule.js";
+import ModelError from "../../global/ModelError.js";
+
+const route = Router();
+
+export default (router) => {
+	router.use("/schedule", route);
+
+	/* ---- CREATE ---------------------------------- */
+	route.post(
+		"/services",
+		middlewares.authorize("schedule.add"),
+		middlewares.checkParams("day_of_week", "name", "start_time", "end_time"),
+		middlewares.audit("service", "service_id", Schedule.getServiceById),
+		middlewares.database,
+		async (request, response) => {
+			const { day_of_week, name, start_time, end_time } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Schedule.addService(db, day_of_week, name, start_time, end_time)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Service ajouté.", service_id: result.service_id }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.post(
+		"/closures",
+		middlewares.authorize("schedule.add"),
+		middlewares.checkParams("start_date", "end_date"),
+		middlewares.audit("closure", "closure_id", Schedule.getClosureById),
+		middlewares.database,
+		async (request, response) => {
+			const { start_date, end_date, type, reason } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Schedule.addClosure(db, start_date, end_date, type, reason)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Fermeture ajoutée.", closure_id: result.closure_id }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	/* ---- READ ------------------------------------ */
+	route.get(
+		"/services/all",
+		middlewares.database,
+		async (request, response) => {
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Schedule.getAllServices(db)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(200).json({ code: 200, services: result }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.get(
+		"/closures/all",
+		middlewares.database,
+		async (request, response) => {
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Schedule.getAllClosures(db)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(200).json({ code: 200, closures: result }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.get(
+		"/day/:date",
+		middlewares.checkParams("date"),
+		middlewares.database,
+		async (request, response) => {
+			const { date } = request.params;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Schedule.getServicesOfDay(db, date)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(200).json({ code: 200, services: result }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	/* ---- UPDATE ------------------------------------ */
+	route.put(
+		"/services",
+		middlewares.authorize("schedule.update"),
+		middlewares.checkParams("service_id"),
+		middlewares.audit("service", "service_id", Schedule.getServiceById),
+		middlewares.database,
+		async (request, response) => {
+			const { service_id, day_of_week, name, start_time, end_time } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Schedule.updateService(db, service_id, day_of_week, name, start_time, end_time)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Service mis à jour." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.put(
+		"/closures",
+		middlewares.authorize("schedule.update"),
+		middlewares.checkParams("closure_id"),
+		middlewares.audit("closure", "closure_id", Schedule.getClosureById),
+		middlewares.database,
+		async (request, response) => {
+			const { closure_id, start_date, end_date, type, reason } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Schedule.updateClosure(db, closure_id, start_date, end_date, type, reason)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Fermeture mise à jour." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	/* ---- DELETE ------------------------------------ */
+	route.delete(
+		"/services",
+		middlewares.authorize("schedule.delete"),
+		middlewares.checkParams("service_id"),
+		middlewares.audit("service", "service_id", Schedule.getServiceById),
+		middlewares.database,
+		async (request, response) => {
+			const { service_id } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Schedule.deleteService(db, service_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Service supprimé." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.delete(
+		"/closures",
+		middlewares.authorize("schedule.delete"),
+		middlewares.checkParams("closure_id"),
+		middlewares.audit("closure", "closure_id", Schedule.getClosureById),
+		middlewares.database,
+		async (request, response) => {
+			const { closure_id } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Schedule.deleteClosure(db, closure_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Fermeture supprimée." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+};
\ No newline at end of file
@@ -11,7 +11,9 @@ export default (router) => {
 	/* ---- CREATE ---------------------------------- */
 	route.post(
 		"/",
+		middlewares.authorize("stock.add"),
 		middlewares.checkParams("name", "units", "unit_price", "is_orderable", "is_cookable"),
+		middlewares.audit("stock"),
 		middlewares.database,
 		async (request, response) => {
 			const { name, units, units_unit_id, unit_price, is_orderable, is_cookable, use_by_date_min, use_by_date_max } = request.body;
@@ -35,6 +37,7 @@ export default (router) => {
 	/* ---- READ ------------------------------------ */
 	route.get(
 		"/all",
+		middlewares.authorize("stock.read"),
 		middlewares.database,
 		async (request, response) => {
 			const db = await request.database;
@@ -56,6 +59,7 @@ export default (router) => {
 
 	route.get(
 		"/:name",
+		middlewares.authorize("stock.read"),
 		middlewares.checkParams("name"),
 		middlewares.database,
 		async (request, response) => {
@@ -80,7 +84,9 @@ export default (router) => {
 	/* ---- UPDATE ------------------------------------ */
 	route.put(
 		"/",
+		middlewares.authorize("stock.update"),
 		middlewares.checkParams("stock_id"),
+		middlewares.audit("stock", "stock_id", Stock.getById),
 		middlewares.database,
 		async (request, response) => {
 			const {
@@ -107,7 +113,9 @@ export default (router) => {
 	/* ---- DELETE ------------------------------------ */
 	route.delete(
 		"/",
+		middlewares.authorize("stock.delete"),
 		middlewares.checkParams("stock_id"),
+		middlewares.audit("stock", "stock_id", Stock.getById),
 		middlewares.database,
 		async (request, response) => {
 			const { stock_id } = request.body;
@@ -11,7 +11,9 @@ export default (router) => {
 	/* ---- CREATE ---------------------------------- */
 	route.post(
 		"/",
+		middlewares.authorize("stats.add"),
 		middlewares.checkParams("stock_id", "units"),
+		middlewares.audit("stock_statistics"),
 		middlewares.database,
 		async (request, response) => {
 			const { stock_id, units } = request.body;
@@ -35,6 +37,7 @@ export default (router) => {
 	/* ---- READ ------------------------------------ */
 	route.get(
 		"/today",
+		middlewares.authorize("stats.read"),
 		middlewares.database,
 		async (request, response) => {
 			const db = await request.database;
@@ -56,6 +59,7 @@ export default (router) => {
 
 	route.get(
 		"/week",
+		middlewares.authorize("stats.read"),
 		middlewares.database,
 		async (request, response) => {
 			const db = await request.database;
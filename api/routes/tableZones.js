@@ -0,0 +1,111 @@
+import { Router } from "express";
+import middlewares from "../middlewares/index.js";
+import TableZone from "../models/TableZone.js";
+import ModelError from "../../global/ModelError.js";
+
+const route = Router();
+
+export default (router) => {
+	router.use("/tables/zones", route);
+
+	/* ---- CREATE ---------------------------------- */
+	route.post(
+		"/",
+		middlewares.authorize("tables.zones"),
+		middlewares.checkParams("name"),
+		middlewares.audit("table_zone", "zone_id", TableZone.getById),
+		middlewares.database,
+		async (request, response) => {
+			const { name } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			TableZone.add(db, name)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Zone ajoutée." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	/* ---- READ ------------------------------------ */
+	route.get(
+		"/all",
+		middlewares.authorize("tables.read"),
+		middlewares.database,
+		async (request, response) => {
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			TableZone.getAll(db)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(200).json({ code: 200, zones: result }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	/* ---- UPDATE ------------------------------------ */
+	route.put(
+		"/",
+		middlewares.authorize("tables.zones"),
+		middlewares.checkParams("zone_id", "name"),
+		middlewares.audit("table_zone", "zone_id", TableZone.getById),
+		middlewares.database,
+		async (request, response) => {
+			const { zone_id, name } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			TableZone.update(db, zone_id, name)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Zone mise à jour." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	/* ---- DELETE ------------------------------------ */
+	route.delete(
+		"/",
+		middlewares.authorize("tables.zones"),
+		middlewares.checkParams("zone_id"),
+		middlewares.audit("table_zone", "zone_id", TableZone.getById),
+		middlewares.database,
+		async (request, response) => {
+			const { zone_id } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			TableZone.delete(db, zone_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Zone supprimée." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+};
\ No newline at end of file
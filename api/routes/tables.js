@@ -1,6 +1,7 @@
 import { Router } from "express";
 import middlewares from "../middlewares/index.js";
 import Table from "../models/Table.js";
+import StatusChange from "../models/StatusChange.js";
 import ModelError from "../../global/ModelError.js";
 
 const route = Router();
@@ -11,15 +12,17 @@ export default (router) => {
 	/* ---- CREATE ---------------------------------- */
 	route.post(
 		"/",
+		middlewares.authorize("tables.add"),
 		middlewares.checkParams("capacity"),
+		middlewares.audit("table", "table_id", Table.getById),
 		middlewares.database,
 		async (request, response) => {
-			const { name, capacity, is_available, can_be_used } = request.body;
+			const { name, capacity, can_be_used } = request.body;
 			const db = await request.database;
 
 			response.set("Content-Type", "application/json");
 
-			Table.add(db, name, capacity, is_available, can_be_used)
+			Table.add(db, name, capacity, can_be_used)
 				.then(result => {
 					if (result instanceof ModelError) {
 						response.status(result.code()).json(result.json()).end();
@@ -32,9 +35,35 @@ export default (router) => {
 		}
 	);
 
+	route.post(
+		"/joins",
+		middlewares.authorize("tables.joins"),
+		middlewares.checkParams("table_id", "joinable_table_id"),
+		middlewares.audit("table", "table_id", Table.getById, "join"),
+		middlewares.database,
+		async (request, response) => {
+			const { table_id, joinable_table_id } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Table.addJoin(db, table_id, joinable_table_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Tables jointes." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
 	/* ---- READ ------------------------------------ */
 	route.get(
 		"/all",
+		middlewares.authorize("tables.read"),
 		middlewares.database,
 		async (request, response) => {
 			const db = await request.database;
@@ -54,8 +83,54 @@ export default (router) => {
 		}
 	);
 
+	route.get(
+		"/floorplan",
+		middlewares.authorize("tables.read"),
+		middlewares.database,
+		async (request, response) => {
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Table.getFloorPlan(db)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(200).json({ code: 200, floorplan: result }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.get(
+		"/:table_id/status/history",
+		middlewares.authorize("tables.read"),
+		middlewares.database,
+		async (request, response) => {
+			const { table_id } = request.params;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			StatusChange.getAll(db, "table", table_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(200).json({ code: 200, changes: result }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
 	route.get(
 		"/:table_id",
+		middlewares.authorize("tables.read"),
 		middlewares.database,
 		async (request, response) => {
 			const { table_id } = request.params;
@@ -79,15 +154,17 @@ export default (router) => {
 	/* ---- UPDATE ------------------------------------ */
 	route.put(
 		"/",
+		middlewares.authorize("tables.update"),
 		middlewares.checkParams("table_id"),
+		middlewares.audit("table", "table_id", Table.getById),
 		middlewares.database,
 		async (request, response) => {
-			const { table_id, name, capacity, is_available, can_be_used } = request.body;
+			const { table_id, name, capacity, can_be_used } = request.body;
 			const db = await request.database;
 
 			response.set("Content-Type", "application/json");
 
-			Table.update(db, table_id, name, capacity, is_available, can_be_used)
+			Table.update(db, table_id, name, capacity, can_be_used)
 				.then(result => {
 					if (result instanceof ModelError) {
 						response.status(result.code()).json(result.json()).end();
@@ -100,10 +177,63 @@ export default (router) => {
 		}
 	);
 
+	route.put(
+		"/layout",
+		middlewares.authorize("tables.layout"),
+		middlewares.checkParams("table_id"),
+		middlewares.audit("table", "table_id", Table.getById, "layout"),
+		middlewares.database,
+		async (request, response) => {
+			const { table_id, zone_id, pos_x, pos_y, shape, rotation } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Table.setLayout(db, table_id, zone_id, pos_x, pos_y, shape, rotation)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Table placée sur le plan de salle." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.post(
+		"/:table_id/status",
+		middlewares.authorize("tables.update"),
+		middlewares.checkParams("status"),
+		middlewares.audit("table", "table_id", Table.getById, "status"),
+		middlewares.database,
+		async (request, response) => {
+			const { table_id } = request.params;
+			const { status } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Table.setStatus(db, table_id, status, request.user.user_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Statut de la table mis à jour." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
 	/* ---- DELETE ------------------------------------ */
 	route.delete(
 		"/",
+		middlewares.authorize("tables.delete"),
 		middlewares.checkParams("table_id"),
+		middlewares.audit("table", "table_id", Table.getById),
 		middlewares.database,
 		async (request, response) => {
 			const { table_id } = request.body;
@@ -123,4 +253,29 @@ export default (router) => {
 				.finally(() => db ? db.release() : null);
 		}
 	);
+
+	route.delete(
+		"/joins",
+		middlewares.authorize("tables.joins"),
+		middlewares.checkParams("table_id", "joinable_table_id"),
+		middlewares.audit("table", "table_id", Table.getById, "unjoin"),
+		middlewares.database,
+		async (request, response) => {
+			const { table_id, joinable_table_id } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Table.deleteJoin(db, table_id, joinable_table_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Tables disjointes." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
 };
\ No newline at end of file
@@ -2,6 +2,8 @@ import { Router } from "express";
 import middlewares from "../middlewares/index.js";
 import User from "../models/User.js";
 import Token from "../models/Token.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import Invitation from "../models/Invitation.js";
 import ModelError from "../../global/ModelError.js";
 
 const route = Router();
@@ -12,8 +14,10 @@ export default (router) => {
 	/* ---- CREATE ---------------------------------- */
 	route.post(
 		"/staff",
+		middlewares.authorize("users.staff.add"),
 		middlewares.checkParams("role_id", "first_name", "email"),
 		middlewares.toLowercase("email"),
+		middlewares.audit("invitation"),
 		middlewares.database,
 		async (request, response) => {
 			const { role_id, first_name, last_name } = request.body;
@@ -22,7 +26,7 @@ export default (router) => {
 
 			response.set("Content-Type", "application/json");
 
-			User.addStaff(db, first_name, last_name, email, role_id)
+			User.addStaff(db, first_name, last_name, email, role_id, request.user.user_id)
 				.then(result => {
 					if (result instanceof ModelError) {
 						response.status(result.code()).json(result.json()).end();
@@ -35,6 +39,60 @@ export default (router) => {
 		}
 	);
 
+	route.post(
+		"/staff/invitations/resend",
+		middlewares.authorize("users.staff.invitations"),
+		middlewares.checkParams("invitation_id"),
+		middlewares.audit("invitation", "invitation_id", null, "resend"),
+		middlewares.database,
+		async (request, response) => {
+			const { invitation_id } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Invitation.resend(db, invitation_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(result.code).json(result).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.post(
+		"/staff/invitations/accept",
+		middlewares.checkParams("code", "password1", "password2"),
+		middlewares.database,
+		async (request, response) => {
+			const { code, password1, password2 } = request.body;
+			let db;
+
+			response.set("Content-Type", "application/json");
+
+			try {
+				db = await request.database;
+				const user = await User.acceptInvitation(db, code, password1, password2);
+
+				if (user instanceof ModelError) {
+					response.status(user.code()).json(user.json()).end();
+				} else {
+					const token = await Token.getNew(db, user.user_id, request.get("User-Agent"), request.ip);
+
+					response.status(200).json({ code: 200, user: user, token: token }).end();
+				}
+			} catch (err) {
+				response.status(500).json(new ModelError(500, err.message).json()).end();
+			} finally {
+				if (db) db.release();
+			}
+		}
+	);
+
 	route.post(
 		"/",
 		middlewares.checkParams("first_name", "email", "password1", "password2"),
@@ -54,7 +112,7 @@ export default (router) => {
 				if (user instanceof ModelError) {
 					response.status(user.code()).json(user.json()).end();
 				} else {
-					const token = await Token.getNew(db, user.user_id);
+					const token = await Token.getNew(db, user.user_id, request.get("User-Agent"), request.ip);
 
 					response.status(200).json({ code: 200, user: user, token: token }).end();
 				}
@@ -81,14 +139,20 @@ export default (router) => {
 
 			try {
 				db = await request.database;
-				const user = await User.login(db, email, password, roleLevel);
+				const user = await User.login(db, email, password, roleLevel, request.ip);
 
 				if (user instanceof ModelError) {
+					if (user.code() === 429) {
+						const failures = await LoginAttempt.countFailures(db, email, request.ip);
+						response.set("Retry-After", `${LoginAttempt.getRetryAfter(failures)}`);
+					}
+
 					response.status(user.code()).json(user.json()).end();
 				} else {
-					const token = await Token.getNew(db, user.user_id);
+					const token = await Token.getNew(db, user.user_id, request.get("User-Agent"), request.ip);
+					const state = user.must_change_password ? "must_change_password" : "logged_in";
 
-					response.status(200).json({ code: 200, user: user, token: token }).end();
+					response.status(200).json({ code: 200, state: state, user: user, token: token }).end();
 				}
 			} catch (err) {
 				response.status(500).json(new ModelError(500, err.message).json()).end();
@@ -115,7 +179,9 @@ export default (router) => {
 				if (user instanceof ModelError) {
 					response.status(user.code()).json(user.json()).end();
 				} else {
-					response.status(200).json({ code: 200, user: user, token: token }).end();
+					const state = user.must_change_password ? "must_change_password" : "logged_in";
+
+					response.status(200).json({ code: 200, state: state, user: user, token: token }).end();
 				}
 			} catch (err) {
 				response.status(500).json(new ModelError(500, err.message).json()).end();
@@ -125,8 +191,98 @@ export default (router) => {
 		}
 	);
 	
+	route.post(
+		"/logout",
+		middlewares.authorize("users.sessions"),
+		middlewares.database,
+		async (request, response) => {
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Token.revoke(db, request.token)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Déconnecté." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.get(
+		"/sessions",
+		middlewares.authorize("users.sessions"),
+		middlewares.database,
+		async (request, response) => {
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Token.getSessions(db, request.user.user_id, request.token)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(200).json({ code: 200, sessions: result }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.get(
+		"/lockouts/all",
+		middlewares.authorize("users.lockouts"),
+		middlewares.database,
+		async (request, response) => {
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			LoginAttempt.getAllLockouts(db)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(200).json({ code: 200, lockouts: result }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.get(
+		"/no-shows/all",
+		middlewares.authorize("users.noshows"),
+		middlewares.database,
+		async (request, response) => {
+			const { min } = request.query;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			User.getAllNoShows(db, min)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(200).json({ code: 200, users: result }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
 	route.get(
 		"/staff/all",
+		middlewares.authorize("users.staff.read"),
 		middlewares.database,
 		async (request, response) => {
 			const db = await request.database;
@@ -146,8 +302,31 @@ export default (router) => {
 		}
 	);
 
+	route.get(
+		"/staff/invitations",
+		middlewares.authorize("users.staff.invitations"),
+		middlewares.database,
+		async (request, response) => {
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Invitation.getAllPending(db)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(200).json({ code: 200, invitations: result }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
 	route.get(
 		"/:email",
+		middlewares.authorize("users.read"),
 		middlewares.checkParams("email"),
 		middlewares.toLowercase("email"),
 		middlewares.database,
@@ -173,8 +352,10 @@ export default (router) => {
 	/* ---- UPDATE ---------------------------------- */
 	route.put(
 		"/",
+		middlewares.authorize("users.update"),
 		middlewares.checkParams("user_id"),
 		middlewares.toLowercase("email"),
+		middlewares.audit("user", "user_id", User.getById),
 		middlewares.database,
 		async (request, response) => {
 			const { user_id, role_id, first_name, last_name } = request.body;
@@ -196,10 +377,251 @@ export default (router) => {
 		}
 	);
 
+	route.put(
+		"/password",
+		middlewares.authorize("users.password"),
+		middlewares.checkParams("password", "password1", "password2"),
+		middlewares.database,
+		async (request, response) => {
+			const { password, password1, password2 } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			User.changePassword(db, request.user.email, password, password1, password2)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Mot de passe modifié." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.post(
+		"/verify",
+		middlewares.checkParams("code"),
+		middlewares.database,
+		async (request, response) => {
+			const { code } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			User.verifyEmail(db, code)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Adresse e-mail vérifiée." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.post(
+		"/verify/resend",
+		middlewares.authorize("users.verify"),
+		middlewares.database,
+		async (request, response) => {
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			User.sendVerification(db, request.user.user_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(result.code).json(result).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.post(
+		"/unlock",
+		middlewares.authorize("users.lockouts"),
+		middlewares.checkParams("user_id"),
+		middlewares.audit("user", "user_id", User.getById, "unlock"),
+		middlewares.database,
+		async (request, response) => {
+			const { user_id } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			User.unlock(db, user_id, request.user.user_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Compte déverrouillé." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.post(
+		"/bookings/block",
+		middlewares.authorize("users.noshows"),
+		middlewares.checkParams("user_id"),
+		middlewares.audit("user", "user_id", User.getById, "block_bookings"),
+		middlewares.database,
+		async (request, response) => {
+			const { user_id } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			User.setBookingBlocked(db, user_id, true)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Réservations bloquées pour cet utilisateur." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.post(
+		"/bookings/unblock",
+		middlewares.authorize("users.noshows"),
+		middlewares.checkParams("user_id"),
+		middlewares.audit("user", "user_id", User.getById, "unblock_bookings"),
+		middlewares.database,
+		async (request, response) => {
+			const { user_id } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			User.setBookingBlocked(db, user_id, false)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Réservations débloquées pour cet utilisateur." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.post(
+		"/password/forgot",
+		middlewares.checkParams("email"),
+		middlewares.toLowercase("email"),
+		middlewares.database,
+		async (request, response) => {
+			const { email } = request.lowerCasedParams;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			User.forgotPassword(db, email)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(result.code).json(result).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.post(
+		"/password/reset",
+		middlewares.checkParams("code", "password1", "password2"),
+		middlewares.database,
+		async (request, response) => {
+			const { code, password1, password2 } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			User.resetPassword(db, code, password1, password2)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Mot de passe réinitialisé." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
 	/* ---- DELETE ---------------------------------- */
+	route.delete(
+		"/sessions/:token_id",
+		middlewares.authorize("users.sessions"),
+		middlewares.database,
+		async (request, response) => {
+			const { token_id } = request.params;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Token.revokeById(db, request.user.user_id, token_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Session révoquée." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.delete(
+		"/staff/invitations",
+		middlewares.authorize("users.staff.invitations"),
+		middlewares.checkParams("invitation_id"),
+		middlewares.audit("invitation", "invitation_id"),
+		middlewares.database,
+		async (request, response) => {
+			const { invitation_id } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Invitation.revoke(db, invitation_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Invitation révoquée." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
 	route.delete(
 		"/staff",
+		middlewares.authorize("users.staff.delete"),
 		middlewares.checkParams("user_id"),
+		middlewares.audit("user", "user_id", User.getById),
 		middlewares.database,
 		async (request, response) => {
 			const { user_id } = request.body;
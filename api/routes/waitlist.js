@@ -0,0 +1,135 @@
+import { Router } from "express";
+import middlewares from "../middlewares/index.js";
+import Waitlist from "../models/Waitlist.js";
+import ModelError from "../../global/ModelError.js";
+
+const route = Router();
+
+export default (router) => {
+	router.use("/waitlist", route);
+
+	/* ---- CREATE ---------------------------------- */
+	route.post(
+		"/",
+		middlewares.authorize("waitlist.add"),
+		middlewares.checkParams("user_id", "start_time", "end_time", "clients_nb"),
+		middlewares.audit("waitlist", "waitlist_id", Waitlist.getById),
+		middlewares.database,
+		async (request, response) => {
+			const { user_id, start_time, end_time, clients_nb } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Waitlist.add(db, user_id, start_time, end_time, clients_nb)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Inscription sur la liste d'attente ajoutée." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	/* ---- READ ------------------------------------ */
+	route.get(
+		"/all",
+		middlewares.authorize("waitlist.read.all"),
+		middlewares.database,
+		async (request, response) => {
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Waitlist.getAllPending(db)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(200).json({ code: 200, entries: result }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	route.get(
+		"/user_id/:user_id",
+		middlewares.authorize("waitlist.read"),
+		middlewares.checkParams("user_id"),
+		middlewares.database,
+		async (request, response) => {
+			const { user_id } = request.params;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Waitlist.getByUserId(db, user_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(200).json({ code: 200, entries: result }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	/* ---- UPDATE ------------------------------------ */
+	route.post(
+		"/confirm",
+		middlewares.authorize("waitlist.add"),
+		middlewares.checkParams("code"),
+		middlewares.audit("waitlist", null, null, "confirm"),
+		middlewares.database,
+		async (request, response) => {
+			const { code } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Waitlist.confirm(db, code, request.user.user_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(200).json({ code: 200, entry: result }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+
+	/* ---- DELETE ------------------------------------ */
+	route.delete(
+		"/",
+		middlewares.authorize("waitlist.delete"),
+		middlewares.checkParams("waitlist_id"),
+		middlewares.audit("waitlist", "waitlist_id", Waitlist.getById),
+		middlewares.database,
+		async (request, response) => {
+			const { waitlist_id } = request.body;
+			const db = await request.database;
+
+			response.set("Content-Type", "application/json");
+
+			Waitlist.delete(db, waitlist_id)
+				.then(result => {
+					if (result instanceof ModelError) {
+						response.status(result.code()).json(result.json()).end();
+					} else {
+						response.status(202).json({ code: 202, message: "Inscription sur la liste d'attente supprimée." }).end();
+					}
+				})
+				.catch(err => response.status(500).json(new ModelError(500, err.message).json()).end())
+				.finally(() => db ? db.release() : null);
+		}
+	);
+};
\ No newline at end of file
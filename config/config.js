@@ -2,11 +2,37 @@
  * @namespace
  * @property {Object} app - App configuration
  * @property {Number} app.port - HTTP port
+ * @property {string} app.url - Public URL of the server, used in the links of the calendar feeds
+ * @property {string} app.webUrl - Public URL of the web interface, used in links sent by email
  * @property {Object} app.https - HTTPS configuration
  * @property {Number} app.https.port - HTTPS port
  * @property {Number} app.https.passphrase - HTTPS certificate passphrase
  * @property {Object} app.security - Security configuration
  * @property {Number} app.security.saltRound - Salt rounds used in password protection
+ * @property {Number} app.security.tokenLifetime - How many days a token stays valid without being used
+ * @property {Number} app.security.passwordResetLifetime - How many minutes a password reset code stays valid
+ * @property {Number} app.security.emailVerificationLifetime - How many minutes an email verification code stays valid
+ * @property {Number} app.security.invitationLifetime - How many minutes a staff invitation stays valid
+ * @property {Number} app.security.calendarFeedLifetime - How many minutes the link of a staff calendar feed stays valid
+ * @property {Object} app.security.login - Brute-force protection of the login
+ * @property {Number} app.security.login.maxAttempts - How many failed attempts lock an account
+ * @property {Number} app.security.login.maxAttemptsPerIp - How many failed attempts block an IP address
+ * @property {Number} app.security.login.attemptsWindow - How many minutes a failed attempt is counted
+ * @property {Number} app.security.login.lockoutDuration - How many minutes an account stays locked
+ * @property {Number} app.security.login.delayStep - How many milliseconds each failed attempt adds to the next ones
+ * @property {Number} app.security.login.maxDelay - Maximum delay in milliseconds
+ * @property {Object} app.bookings - Bookings configuration
+ * @property {Number} app.bookings.sittingDuration - How many minutes a table is reserved for a booking
+ * @property {Number} app.bookings.slotInterval - How many minutes between two bookable time slots
+ * @property {Number} app.bookings.maxJoinedTables - How many tables can be joined for a single booking
+ * @property {Number} app.bookings.cancellationCutoff - How many minutes before its time a booking can still be cancelled
+ * @property {Number} app.bookings.waitlistOfferLifetime - How many minutes a slot offered to the waitlist stays valid
+ * @property {Number} app.bookings.noShowGracePeriod - How many minutes late clients can be before being a no-show
+ * @property {Number} app.bookings.reminderDelay - How many minutes before its time a booking is reminded by email
+ * @property {Object} app.jobs - Background tasks configuration
+ * @property {Number} app.jobs.noShowsInterval - How many minutes between two searches for no-shows
+ * @property {Number} app.jobs.remindersInterval - How many minutes between two sendings of reminders
+ * @property {Number} app.jobs.waitlistInterval - How many minutes between two offers of free slots to the waitlist
  * @property {Object} db - DB configuration
  * @property {string} db.host - Host
  * @property {Number} db.port - Port
@@ -30,12 +56,41 @@
 const config = {
 	app: {
 		port: 8080,
+		url: "https://localhost:8443",
+		webUrl: "https://localhost:3000",
 		https: {
 			port: 8443,
 			passphrase: "Is This A S4lad?!"
 		},
 		security: {
-			saltRound: 10
+			saltRound: 10,
+			tokenLifetime: 30,
+			passwordResetLifetime: 60,
+			emailVerificationLifetime: 2880,
+			invitationLifetime: 4320,
+			calendarFeedLifetime: 525600,
+			login: {
+				maxAttempts: 5,
+				maxAttemptsPerIp: 20,
+				attemptsWindow: 15,
+				lockoutDuration: 30,
+				delayStep: 500,
+				maxDelay: 5000
+			}
+		},
+		bookings: {
+			sittingDuration: 120,
+			slotInterval: 30,
+			maxJoinedTables: 4,
+			cancellationCutoff: 120,
+			waitlistOfferLifetime: 30,
+			noShowGracePeriod: 20,
+			reminderDelay: 1440
+		},
+		jobs: {
+			noShowsInterval: 5,
+			remindersInterval: 5,
+			waitlistInterval: 5
 		}
 	},
 	db: {
@@ -0,0 +1,6 @@
+-- Role hierarchy: customer < waiter/cook < owner
+ALTER TABLE roles ADD COLUMN level INT NOT NULL DEFAULT 0;
+
+UPDATE roles SET level = 0 WHERE name = 'customer';
+UPDATE roles SET level = 1 WHERE name IN ('waiter', 'cook');
+UPDATE roles SET level = 2 WHERE name = 'owner';
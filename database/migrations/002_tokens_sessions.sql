@@ -0,0 +1,11 @@
+-- Token expiration and sessions
+ALTER TABLE tokens
+	ADD COLUMN created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	ADD COLUMN last_used_at DATETIME NULL,
+	ADD COLUMN expires_at DATETIME NULL,
+	ADD COLUMN user_agent VARCHAR(255) NULL,
+	ADD COLUMN ip VARCHAR(45) NULL;
+
+UPDATE tokens SET expires_at = NOW() + INTERVAL 30 DAY WHERE expires_at IS NULL;
+
+ALTER TABLE tokens MODIFY COLUMN expires_at DATETIME NOT NULL;
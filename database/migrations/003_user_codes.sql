@@ -0,0 +1,13 @@
+-- Single-use and time-limited codes sent by email
+CREATE TABLE user_codes (
+	code_id INT NOT NULL AUTO_INCREMENT,
+	user_id INT NOT NULL,
+	type VARCHAR(50) NOT NULL,
+	code_hash CHAR(64) NOT NULL,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	expires_at DATETIME NOT NULL,
+	used_at DATETIME NULL,
+	PRIMARY KEY (code_id),
+	UNIQUE KEY user_codes_code_hash (code_hash),
+	CONSTRAINT user_codes_user_id FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE
+);
@@ -0,0 +1,8 @@
+-- Staff members must change their generated password on their first login
+ALTER TABLE users ADD COLUMN must_change_password TINYINT(1) NOT NULL DEFAULT 0;
+
+-- The existing staff accounts were all given a generated password
+UPDATE users
+INNER JOIN roles ON users.role_id = roles.role_id
+SET users.must_change_password = 1
+WHERE roles.name <> 'customer';
@@ -0,0 +1,27 @@
+-- Brute-force protection of the login
+CREATE TABLE login_attempts (
+	attempt_id INT NOT NULL AUTO_INCREMENT,
+	email VARCHAR(255) NOT NULL,
+	ip VARCHAR(45) NULL,
+	is_success TINYINT(1) NOT NULL DEFAULT 0,
+	time DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	PRIMARY KEY (attempt_id),
+	KEY login_attempts_email_time (email, time),
+	KEY login_attempts_ip_time (ip, time)
+);
+
+-- Lockouts are kept as an audit record
+CREATE TABLE lockouts (
+	lockout_id INT NOT NULL AUTO_INCREMENT,
+	user_id INT NOT NULL,
+	email VARCHAR(255) NOT NULL,
+	ip VARCHAR(45) NULL,
+	failures INT NOT NULL,
+	locked_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	locked_until DATETIME NOT NULL,
+	unlocked_at DATETIME NULL,
+	unlocked_by INT NULL,
+	PRIMARY KEY (lockout_id),
+	CONSTRAINT lockouts_user_id FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE,
+	CONSTRAINT lockouts_unlocked_by FOREIGN KEY (unlocked_by) REFERENCES users (user_id) ON DELETE SET NULL
+);
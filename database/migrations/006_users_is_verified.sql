@@ -0,0 +1,4 @@
+-- Email address verification. Existing accounts are considered verified
+ALTER TABLE users ADD COLUMN is_verified TINYINT(1) NOT NULL DEFAULT 0;
+
+UPDATE users SET is_verified = 1;
@@ -0,0 +1,17 @@
+-- Staff invitations
+CREATE TABLE invitations (
+	invitation_id INT NOT NULL AUTO_INCREMENT,
+	role_id INT NOT NULL,
+	first_name VARCHAR(255) NOT NULL,
+	last_name VARCHAR(255) NULL,
+	email VARCHAR(255) NOT NULL,
+	invited_by INT NULL,
+	code_hash CHAR(64) NULL,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	expires_at DATETIME NOT NULL,
+	accepted_at DATETIME NULL,
+	PRIMARY KEY (invitation_id),
+	UNIQUE KEY invitations_code_hash (code_hash),
+	CONSTRAINT invitations_role_id FOREIGN KEY (role_id) REFERENCES roles (role_id) ON DELETE CASCADE,
+	CONSTRAINT invitations_invited_by FOREIGN KEY (invited_by) REFERENCES users (user_id) ON DELETE SET NULL
+);
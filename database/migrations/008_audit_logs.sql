@@ -0,0 +1,18 @@
+-- Audit trail of the changes made through the API
+CREATE TABLE audit_logs (
+	audit_id INT NOT NULL AUTO_INCREMENT,
+	user_id INT NULL,
+	action VARCHAR(32) NOT NULL,
+	entity VARCHAR(64) NOT NULL,
+	entity_id VARCHAR(255) NULL,
+	route VARCHAR(255) NOT NULL,
+	ip VARCHAR(45) NULL,
+	before_data LONGTEXT NULL CHECK (before_data IS NULL OR JSON_VALID(before_data)),
+	after_data LONGTEXT NULL CHECK (after_data IS NULL OR JSON_VALID(after_data)),
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	PRIMARY KEY (audit_id),
+	KEY audit_logs_user_id (user_id),
+	KEY audit_logs_entity (entity, entity_id),
+	KEY audit_logs_created_at (created_at),
+	CONSTRAINT audit_logs_user_id FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE SET NULL
+);
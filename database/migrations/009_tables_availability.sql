@@ -0,0 +1,10 @@
+-- Tables were marked unavailable as soon as they were booked, they now only are while clients are seated
+UPDATE tables
+SET is_available = NOT EXISTS (
+	SELECT 1
+	FROM bookings
+	WHERE bookings.table_id = tables.table_id AND bookings.is_client_on_place = 1 AND bookings.is_finished = 0
+);
+
+-- Find the bookings of a table around a given time
+CREATE INDEX bookings_table_id_time ON bookings (table_id, time);
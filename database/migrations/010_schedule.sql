@@ -0,0 +1,33 @@
+-- Weekly services of the restaurant, a service ending after midnight has an end_time lower than its start_time
+CREATE TABLE services (
+	service_id INT NOT NULL AUTO_INCREMENT,
+	day_of_week TINYINT NOT NULL,
+	name VARCHAR(32) NOT NULL,
+	start_time TIME NOT NULL,
+	end_time TIME NOT NULL,
+	PRIMARY KEY (service_id),
+	UNIQUE KEY services_day_of_week_name (day_of_week, name)
+);
+
+-- Exceptional closures and holidays, from start_date to end_date included
+CREATE TABLE closures (
+	closure_id INT NOT NULL AUTO_INCREMENT,
+	type VARCHAR(32) NOT NULL DEFAULT 'closure',
+	start_date DATE NOT NULL,
+	end_date DATE NOT NULL,
+	reason VARCHAR(255) NULL,
+	PRIMARY KEY (closure_id),
+	KEY closures_dates (start_date, end_date)
+);
+
+-- Open every day for lunch and dinner by default, 0 is Sunday
+INSERT INTO services (day_of_week, name, start_time, end_time)
+SELECT days.day_of_week, hours.name, hours.start_time, hours.end_time
+FROM (SELECT 0 AS day_of_week UNION SELECT 1 UNION SELECT 2 UNION SELECT 3 UNION SELECT 4 UNION SELECT 5 UNION SELECT 6) days
+CROSS JOIN (
+	SELECT 'lunch' AS name, '11:30:00' AS start_time, '15:00:00' AS end_time
+	UNION SELECT 'dinner', '18:30:00', '23:00:00'
+) hours;
+
+-- Pickup time of take away orders
+ALTER TABLE orders ADD COLUMN pickup_time DATETIME NULL AFTER time;
@@ -0,0 +1,23 @@
+-- Tables which can be joined for a large party, each pair is stored once with the smallest ID first
+CREATE TABLE table_joins (
+	table_id INT NOT NULL,
+	joinable_table_id INT NOT NULL,
+	PRIMARY KEY (table_id, joinable_table_id),
+	CONSTRAINT table_joins_table_id FOREIGN KEY (table_id) REFERENCES tables (table_id) ON DELETE CASCADE,
+	CONSTRAINT table_joins_joinable_table_id FOREIGN KEY (joinable_table_id) REFERENCES tables (table_id) ON DELETE CASCADE
+);
+
+-- Every table reserved for a booking, bookings.table_id stays the main one
+CREATE TABLE booking_tables (
+	booking_id INT NOT NULL,
+	table_id INT NOT NULL,
+	PRIMARY KEY (booking_id, table_id),
+	KEY booking_tables_table_id (table_id),
+	CONSTRAINT booking_tables_booking_id FOREIGN KEY (booking_id) REFERENCES bookings (booking_id) ON DELETE CASCADE,
+	CONSTRAINT booking_tables_table_id FOREIGN KEY (table_id) REFERENCES tables (table_id) ON DELETE CASCADE
+);
+
+INSERT INTO booking_tables (booking_id, table_id)
+SELECT booking_id, table_id
+FROM bookings
+WHERE table_id IS NOT NULL;
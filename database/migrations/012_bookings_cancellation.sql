@@ -0,0 +1,5 @@
+-- Cancelled bookings are kept with the reason of their cancellation
+ALTER TABLE bookings
+	ADD COLUMN is_cancelled TINYINT(1) NOT NULL DEFAULT 0 AFTER is_paid,
+	ADD COLUMN cancelled_at DATETIME NULL AFTER is_cancelled,
+	ADD COLUMN cancellation_reason VARCHAR(255) NULL AFTER cancelled_at;
@@ -0,0 +1,19 @@
+-- Customers waiting for a table to free up, the offered slot is confirmed with a code sent by email
+CREATE TABLE waitlist (
+	waitlist_id INT NOT NULL AUTO_INCREMENT,
+	user_id INT NOT NULL,
+	start_time DATETIME NOT NULL,
+	end_time DATETIME NOT NULL,
+	clients_nb INT NOT NULL,
+	status VARCHAR(32) NOT NULL DEFAULT 'waiting',
+	offered_time DATETIME NULL,
+	offer_code_hash CHAR(64) NULL,
+	offer_expires_at DATETIME NULL,
+	booking_id INT NULL,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	PRIMARY KEY (waitlist_id),
+	UNIQUE KEY waitlist_offer_code_hash (offer_code_hash),
+	KEY waitlist_status_created_at (status, created_at),
+	CONSTRAINT waitlist_user_id FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE,
+	CONSTRAINT waitlist_booking_id FOREIGN KEY (booking_id) REFERENCES bookings (booking_id) ON DELETE SET NULL
+);
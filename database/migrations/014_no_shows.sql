@@ -0,0 +1,7 @@
+-- Bookings whose clients never came, counted per user so that repeat offenders can be blocked
+ALTER TABLE bookings
+	ADD COLUMN is_no_show TINYINT(1) NOT NULL DEFAULT 0 AFTER cancellation_reason;
+
+ALTER TABLE users
+	ADD COLUMN no_shows_nb INT NOT NULL DEFAULT 0,
+	ADD COLUMN is_booking_blocked TINYINT(1) NOT NULL DEFAULT 0;
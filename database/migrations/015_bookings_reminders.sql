@@ -0,0 +1,3 @@
+-- When the reminder of a booking was sent by email
+ALTER TABLE bookings
+	ADD COLUMN reminder_sent_at DATETIME NULL AFTER is_no_show;
@@ -0,0 +1,47 @@
+-- Service lifecycle of bookings and tables, every validated move being recorded
+ALTER TABLE bookings
+	ADD COLUMN status VARCHAR(32) NOT NULL DEFAULT 'reserved' AFTER is_no_show,
+	ADD COLUMN status_changed_at DATETIME NULL AFTER status;
+
+UPDATE bookings
+SET status = CASE
+	WHEN is_paid = 1 THEN 'paid'
+	WHEN is_cancelled = 1 THEN 'cancelled'
+	WHEN is_no_show = 1 THEN 'no_show'
+	WHEN is_client_on_place = 1 AND can_client_pay = 1 THEN 'waiting_bill'
+	WHEN is_client_on_place = 1 THEN 'seated'
+	ELSE 'reserved'
+END;
+
+ALTER TABLE tables
+	ADD COLUMN status VARCHAR(32) NOT NULL DEFAULT 'free' AFTER can_be_used,
+	ADD COLUMN status_changed_at DATETIME NULL AFTER status;
+
+UPDATE tables
+SET status = IF(
+	EXISTS (
+		SELECT 1
+		FROM booking_tables
+		INNER JOIN bookings ON booking_tables.booking_id = bookings.booking_id
+		WHERE booking_tables.table_id = tables.table_id
+			AND bookings.is_client_on_place = 1
+			AND bookings.is_finished = 0
+	),
+	'seated',
+	'free'
+);
+
+UPDATE tables SET is_available = status = 'free';
+
+CREATE TABLE status_changes (
+	change_id INT NOT NULL AUTO_INCREMENT,
+	entity VARCHAR(32) NOT NULL,
+	entity_id INT NOT NULL,
+	from_status VARCHAR(32) NOT NULL,
+	to_status VARCHAR(32) NOT NULL,
+	user_id INT NULL,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	PRIMARY KEY (change_id),
+	KEY status_changes_entity (entity, entity_id),
+	CONSTRAINT status_changes_user_id FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE SET NULL
+);
@@ -0,0 +1,15 @@
+-- Floor plan: zones of the restaurant and the place of each table in it
+CREATE TABLE table_zones (
+	zone_id INT NOT NULL AUTO_INCREMENT,
+	name VARCHAR(255) NOT NULL,
+	PRIMARY KEY (zone_id),
+	UNIQUE KEY table_zones_name (name)
+);
+
+ALTER TABLE tables
+	ADD COLUMN zone_id INT NULL,
+	ADD COLUMN pos_x INT NOT NULL DEFAULT 0,
+	ADD COLUMN pos_y INT NOT NULL DEFAULT 0,
+	ADD COLUMN shape VARCHAR(32) NOT NULL DEFAULT 'square',
+	ADD COLUMN rotation INT NOT NULL DEFAULT 0,
+	ADD CONSTRAINT tables_zone_id FOREIGN KEY (zone_id) REFERENCES table_zones (zone_id) ON DELETE SET NULL;
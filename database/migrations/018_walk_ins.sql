@@ -0,0 +1,4 @@
+-- Clients seated without a booking: their booking has no user
+ALTER TABLE bookings
+	MODIFY COLUMN user_id INT NULL,
+	ADD COLUMN is_walk_in TINYINT(1) NOT NULL DEFAULT 0 AFTER is_no_show;
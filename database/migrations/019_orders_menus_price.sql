@@ -0,0 +1,7 @@
+-- Price of each ordered menu, kept as it was when the order was made
+ALTER TABLE orders_menus
+	ADD COLUMN unit_price FLOAT NOT NULL DEFAULT 0;
+
+UPDATE orders_menus
+INNER JOIN menus ON orders_menus.menu_id = menus.menu_id
+SET orders_menus.unit_price = menus.price;
@@ -0,0 +1,26 @@
+-- Order lines: options of the menus, quantities and notes for the kitchen
+CREATE TABLE menu_modifiers (
+	modifier_id INT NOT NULL AUTO_INCREMENT,
+	menu_id INT NOT NULL,
+	name VARCHAR(255) NOT NULL,
+	price FLOAT NOT NULL DEFAULT 0,
+	group_name VARCHAR(255) NULL,
+	PRIMARY KEY (modifier_id),
+	CONSTRAINT menu_modifiers_menu_id FOREIGN KEY (menu_id) REFERENCES menus (menu_id) ON DELETE CASCADE
+);
+
+ALTER TABLE orders_menus
+	ADD COLUMN quantity INT NOT NULL DEFAULT 1,
+	ADD COLUMN note VARCHAR(255) NULL;
+
+-- Modifiers chosen on each line, with their name and price as they were when the order was made
+CREATE TABLE orders_menus_modifiers (
+	line_modifier_id INT NOT NULL AUTO_INCREMENT,
+	content_id INT NOT NULL,
+	modifier_id INT NULL,
+	name VARCHAR(255) NOT NULL,
+	price FLOAT NOT NULL DEFAULT 0,
+	PRIMARY KEY (line_modifier_id),
+	CONSTRAINT orders_menus_modifiers_content_id FOREIGN KEY (content_id) REFERENCES orders_menus (content_id) ON DELETE CASCADE,
+	CONSTRAINT orders_menus_modifiers_modifier_id FOREIGN KEY (modifier_id) REFERENCES menu_modifiers (modifier_id) ON DELETE SET NULL
+);
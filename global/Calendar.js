@@ -0,0 +1,141 @@
+/**
+ * @module Calendar
+ * @description This module is used to export bookings in the iCalendar format (RFC 5545).
+ */
+import config from "../config/config.js";
+
+/**
+ * @ignore
+ * @description Domain used in the unique identifier of the events
+ * @type {string}
+ */
+const domain = new URL(config.app.url).hostname;
+
+/**
+ * @ignore
+ * @function formatDate
+ * @description Format a date as an UTC date-time
+ *
+ * @param {Date|string} date - The date
+ * @returns {string} The formatted date
+ *
+ * @example
+ * 	formatDate("2021-06-03T18:00:00.000Z") // return "20210603T180000Z"
+ */
+function formatDate(date) {
+	return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * @ignore
+ * @function escapeText
+ * @description Escape the special characters of a text value
+ *
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ *
+ * @example
+ * 	escapeText("Table 1, Table 2") // return "Table 1\, Table 2"
+ */
+function escapeText(text) {
+	return `${text}`
+		.replace(/\\/g, "\\\\")
+		.replace(/;/g, "\\;")
+		.replace(/,/g, "\\,")
+		.replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * @ignore
+ * @function foldLine
+ * @description Split a content line longer than 75 octets, the following lines start with a space
+ *
+ * @param {string} line - The content line
+ * @returns {string} The folded line
+ *
+ * @example
+ * 	foldLine("DESCRIPTION:...")
+ */
+function foldLine(line) {
+	const encoder = new TextEncoder();
+	const parts = [];
+	let part = "";
+
+	for (const char of line) {
+		const limit = parts.length === 0 ? 75 : 74;
+
+		if (encoder.encode(part + char).length > limit) {
+			parts.push(part);
+			part = "";
+		}
+
+		part += char;
+	}
+
+	return [...parts, part].join("\r\n ");
+}
+
+/**
+ * @ignore
+ * @function getEvent
+ * @description Get the content lines of the event of a booking
+ *
+ * @param {FullBooking} booking - The booking
+ * @returns {Array<string>} The content lines
+ *
+ * @example
+ * 	getEvent(<FullBooking>)
+ */
+function getEvent(booking) {
+	const start = new Date(booking.time);
+	const end = new Date(start.getTime() + config.app.bookings.sittingDuration * 60000);
+	const customer = booking.user
+		? `Réservation de ${[booking.user.first_name, booking.user.last_name].filter(name => name).join(" ")}`
+		: "Clients sans réservation";
+	const tables = (booking.tables || []).map(table => table.name).join(", ");
+	const description = [customer, tables ? `Table : ${tables}` : null].filter(line => line).join("\n");
+
+	return [
+		"BEGIN:VEVENT",
+		`UID:booking-${booking.booking_id}@${domain}`,
+		`DTSTAMP:${formatDate(new Date())}`,
+		`DTSTART:${formatDate(start)}`,
+		`DTEND:${formatDate(end)}`,
+		`SUMMARY:${escapeText(`The Good Fork - ${booking.clients_nb} personnes`)}`,
+		`DESCRIPTION:${escapeText(description)}`,
+		`STATUS:${booking.is_cancelled ? "CANCELLED" : "CONFIRMED"}`,
+		"END:VEVENT"
+	];
+}
+
+/**
+ * @function getCalendar
+ * @description Get an iCalendar object holding one event per booking
+ *
+ * @param {Array<FullBooking>} bookings - The bookings
+ * @param {string} name - Name of the calendar
+ * @returns {string} The iCalendar object
+ *
+ * @example
+ * 	Calendar.getCalendar([<FullBooking>, ...], "Réservations")
+ */
+function getCalendar(bookings, name) {
+	const lines = [
+		"BEGIN:VCALENDAR",
+		"VERSION:2.0",
+		"PRODID:-//The Good Fork//Bookings//FR",
+		"CALSCALE:GREGORIAN",
+		"METHOD:PUBLISH",
+		`X-WR-CALNAME:${escapeText(name)}`,
+		...bookings.flatMap(getEvent),
+		"END:VCALENDAR"
+	];
+
+	return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/*****************************************************
+ * Export
+ *****************************************************/
+const Calendar = { getCalendar };
+export default Calendar;
\ No newline at end of file
@@ -0,0 +1,16 @@
+/**
+ * @module Events
+ * @description This module is used to notify the rest of the app about what happens to the data, whatever made it
+ * happen (a customer, a staff member or a background task).
+ *
+ * Emitted events:
+ * - "booking.created" (FullBooking) - A booking was added
+ * - "booking.updated" (FullBooking) - The time, the number of clients or the tables of a booking changed
+ * - "booking.cancelled" (FullBooking) - A booking was cancelled or deleted
+ * - "slot.freed" (none) - Tables were freed or a booking moved, a slot may be offered to the waitlist
+ * - "failure" (string, Error|string) - Something done in the background failed, with where and why. The server reports it.
+ */
+import { EventEmitter } from "events";
+
+const Events = new EventEmitter();
+export default Events;
\ No newline at end of file
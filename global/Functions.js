@@ -1,4 +1,11 @@
 /** @module Functions */
+import { promisify } from "util";
+import crypto from "crypto";
+import base64url from "base64url";
+import ModelError from "./ModelError.js";
+
+const randomBytesAsync = promisify(crypto.randomBytes);
+
 /*****************************************************
  * Update
  *****************************************************/
@@ -46,4 +53,116 @@ function convertValue(value) {
 	}
 
 	return value;
+}
+
+/*****************************************************
+ * Codes
+ *****************************************************/
+/**
+ * @async
+ * @function generateCode
+ * @description Generate a random URL-safe code
+ *
+ * @param {Number} [size=32] - How many random bytes are used
+ * @returns {Promise<string>} The generated code
+ *
+ * @example
+ *  import { generateCode } from "./Function.js";
+ *
+ *await generateCode() // return "UkZaV1BaWDByTjZvUlkwWWhCdUFoajBJUWowdng3VFE1WU9uM3hxZXUvVWRoVlIybTB4R2NHSXUzWnJRVm9pVA"
+ */
+export async function generateCode(size = 32) {
+	const buf = await randomBytesAsync(size);
+	return base64url(buf.toString("base64"));
+}
+
+/**
+ * @function hashCode
+ * @description Hash a code with SHA-256 so it can be stored without being readable
+ *
+ * @param {string} code - The code to hash
+ * @returns {string} The hashed code
+ *
+ * @example
+ *  import { hashCode } from "./Function.js";
+ *
+ *hashCode("UkZaV1BaWDByTjZvUlkwWWhCdUFoajBJUWowdng3VFE1WU9uM3hxZXUvVWRoVlIybTB4R2NHSXUzWnJRVm9pVA")
+ */
+export function hashCode(code) {
+	return crypto.createHash("sha256").update(code).digest("hex");
+}
+
+/*****************************************************
+ * Transactions
+ *****************************************************/
+/**
+ * @ignore
+ * @description Database connections which are running a transaction, with what must be done once it is committed
+ * @type {WeakMap<Object, Array<function(): *>>}
+ */
+const transactionConnections = new WeakMap();
+
+/**
+ * @async
+ * @function transaction
+ * @description Run several queries in a database transaction. It is committed when the queries return anything but a
+ * ModelError, and rolled back otherwise or if they throw, so that nothing is persisted: the error is then returned as
+ * a ModelError. A transaction started inside another one is part of it.
+ * @see afterCommit
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {function(): Promise<*>} queries - Function running the queries
+ * @returns {Promise<*|ModelError>} What the queries return or a ModelError
+ *
+ * @example
+ *  import { transaction } from "./Function.js";
+ *
+ *await transaction(db, async () => {
+ *	const order = await db.query("INSERT INTO orders...");
+ *	return OrderMenus.addMultiple(db, order.insertId, menus);
+ *});
+ */
+export async function transaction(db, queries) {
+	if (transactionConnections.has(db)) return queries();
+
+	const committed = [];
+
+	await db.beginTransaction();
+	transactionConnections.set(db, committed);
+
+	try {
+		const result = await queries();
+
+		if (result instanceof ModelError) {
+			await db.rollback();
+		} else {
+			await db.commit();
+			committed.forEach(callback => callback());
+		}
+
+		return result;
+	} catch (err) {
+		await db.rollback();
+		return new ModelError(500, err.message);
+	} finally {
+		transactionConnections.delete(db);
+	}
+}
+
+/**
+ * @function afterCommit
+ * @description Do something once the current transaction of a connection is committed, such as emitting an event
+ * about what it wrote. Nothing is done if the transaction is rolled back. Outside a transaction, it is done at once.
+ *
+ * @param {Promise<void>} db - Database connection
+ * @param {function(): *} callback - What to do
+ *
+ * @example
+ *  import { afterCommit } from "./Function.js";
+ *
+ *afterCommit(db, () => Events.emit("slot.freed"));
+ */
+export function afterCommit(db, callback) {
+	if (transactionConnections.has(db)) transactionConnections.get(db).push(callback);
+	else callback();
 }
\ No newline at end of file
@@ -7,7 +7,7 @@ import { google } from "googleapis";
 import config from "../config/config.js";
 
 /* ---- Configure ------------------------------- */
-const { oauth2, email } = config;
+const { app, oauth2, email } = config;
 
 /* -- OAuth2 */
 const OAuth2Client = new google.auth.OAuth2(oauth2.clientId, oauth2.clientSecret);
@@ -33,37 +33,270 @@ transporter.verify()
 	.then(() => console.log("Ready to send email."))
 	.catch(err => console.error(err));
 
+/* ---- Templates ------------------------------- */
+/**
+ * @ignore
+ * @function formatTime
+ * @description Format a date for an email
+ *
+ * @param {Date|string} time - The date
+ * @returns {string} The formatted date
+ *
+ * @example
+ * 	formatTime("2021-06-03 20:00:00") // return "jeudi 3 juin 2021 à 20:00"
+ */
+function formatTime(time) {
+	return new Date(time).toLocaleString("fr-FR", { dateStyle: "full", timeStyle: "short" });
+}
+
+/**
+ * @ignore
+ * @function escapeHtml
+ * @description Escape a value so that it is shown as text in the HTML body of an email
+ *
+ * @param {*} value - The value
+ * @returns {string} The escaped value
+ *
+ * @example
+ * 	escapeHtml("<b>Rick</b>") // return "&lt;b&gt;Rick&lt;/b&gt;"
+ */
+function escapeHtml(value) {
+	const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" };
+	return `${value}`.replace(/[&<>"']/g, char => entities[char]);
+}
+
+/**
+ * @ignore
+ * @function getBookingMail
+ * @description Build an email about a booking: a message followed by the details of the booking and, unless the
+ * booking is cancelled, a link to cancel it. Every value is escaped in the HTML body.
+ *
+ * @param {FullBooking} booking - The booking
+ * @param {string} subject - Subject of the email
+ * @param {string} message - First sentence of the email
+ * @param {Boolean} [canBeCancelled=true] - Add the link to cancel the booking
+ * @returns {Object} The content of the email
+ *
+ * @example
+ * 	getBookingMail(<FullBooking>, "Réservation confirmée", "Votre réservation est confirmée.")
+ */
+function getBookingMail(booking, subject, message, canBeCancelled = true) {
+	const link = `${app.webUrl}/bookings/${booking.booking_id}/cancel`;
+	const date = formatTime(booking.time);
+	const tables = (booking.tables || []).map(table => table.name).join(", ");
+	const details = [`Date : ${date}`, `Nombre de personnes : ${booking.clients_nb}`];
+
+	if (tables) details.push(`Table : ${tables}`);
+
+	return {
+		from: email.address,
+		to: booking.user.email,
+		subject: `The Good Fork - ${subject}`,
+		text: [
+			`Bonjour ${booking.user.first_name},`,
+			message,
+			...details,
+			...(canBeCancelled ? ["Pour annuler votre réservation, ouvrez le lien suivant :", link] : [])
+		].join("\n\n"),
+		html: `<p>Bonjour ${escapeHtml(booking.user.first_name)},</p>
+		<p>${escapeHtml(message)}</p>
+		<ul>
+			${details.map(detail => `<li>${escapeHtml(detail)}</li>`).join("")}
+		</ul>
+		${canBeCancelled ? `<p><a href="${escapeHtml(link)}">Annuler ma réservation</a></p>` : ""}`
+	};
+}
+
 /* ---- Pre-defined emails ---------------------- */
 /**
- * @function sendPassword
- * @description Send a generated password to a new member
+ * @function sendInvitation
+ * @description Send an invitation link to a new staff member so he can choose his password
  *
  * @param {string} targetEmail - The new member email address
- * @param {string} password - His generated password
+ * @param {string} code - The invitation code
+ * @param {Number} lifetime - How many minutes the invitation stays valid
  *
  * @example
- * 	Mail.sendPassword("rick.astley@nggyu.co.uk", "pa$$w0rd!")
+ * 	Mail.sendInvitation("rick.astley@nggyu.co.uk", "UkZaV1BaWDByTjZvUlkwWWhCdUFoajBJUWowdng3VFE1WU9uM3hxZXUvVWRoVlIybTB4R2NHSXUzWnJRVm9pVA", 4320)
  */
-function sendPassword(targetEmail, password) {
+function sendInvitation(targetEmail, code, lifetime) {
+	const link = `${app.webUrl}/invitation/${code}`;
+	const days = Math.round(lifetime / 1440);
+
 	const mailContent = {
 		from: email.address,
 		to: targetEmail,
 		subject: "The Good Fork - Bienvenue dans l'équipe !",
-		text: `Vous pouvez dès à présent vous connecter sur l'application The Good Fork avec les identifiants suivants :\n
+		text: `Vous avez été invité à rejoindre l'équipe de The Good Fork. Pour créer votre compte et choisir votre mot de passe, ouvrez le lien suivant :\n
+		${link}\n
 		Identifiant : ${targetEmail}\n
-		Mot de passe: ${password}\n\n
-		N'oubliez pas de changer le mot de passe après votre première connexion.`,
-		html: `<p>Vous pouvez dès à présent vous connecter sur l'application The Good Fork avec les identifiants suivants :</p>
+		Cette invitation expire dans ${days} jours.`,
+		html: `<p>Vous avez été invité à rejoindre l'équipe de The Good Fork. Pour créer votre compte et choisir votre mot de passe, cliquez sur le lien suivant :</p>
+		<p><a href="${link}">Rejoindre l'équipe</a></p>
 		<ul>
 			<li>Identifiant : ${targetEmail}</li>
-			<li>Mot de passe: ${password}</li>
 		</ul>
-		<p>N'oubliez pas de changer le mot de passe après votre première connexion.</p>`
+		<p>Cette invitation expire dans ${days} jours.</p>`
 	};
 
 	return transporter.sendMail(mailContent);
 }
 
+/**
+ * @function sendPasswordReset
+ * @description Send a password reset code to a user
+ *
+ * @param {string} targetEmail - The user email address
+ * @param {string} code - The reset code
+ * @param {Number} lifetime - How many minutes the code stays valid
+ *
+ * @example
+ * 	Mail.sendPasswordReset("rick.astley@nggyu.co.uk", "UkZaV1BaWDByTjZvUlkwWWhCdUFoajBJUWowdng3VFE1WU9uM3hxZXUvVWRoVlIybTB4R2NHSXUzWnJRVm9pVA", 60)
+ */
+function sendPasswordReset(targetEmail, code, lifetime) {
+	const mailContent = {
+		from: email.address,
+		to: targetEmail,
+		subject: "The Good Fork - Réinitialisation de votre mot de passe",
+		text: `Une demande de réinitialisation du mot de passe a été faite pour votre compte The Good Fork.\n
+		Code de réinitialisation : ${code}\n
+		Ce code n'est utilisable qu'une seule fois et expire dans ${lifetime} minutes.\n\n
+		Si vous n'êtes pas à l'origine de cette demande, vous pouvez ignorer cet e-mail.`,
+		html: `<p>Une demande de réinitialisation du mot de passe a été faite pour votre compte The Good Fork.</p>
+		<ul>
+			<li>Code de réinitialisation : ${code}</li>
+		</ul>
+		<p>Ce code n'est utilisable qu'une seule fois et expire dans ${lifetime} minutes.</p>
+		<p>Si vous n'êtes pas à l'origine de cette demande, vous pouvez ignorer cet e-mail.</p>`
+	};
+
+	return transporter.sendMail(mailContent);
+}
+
+/**
+ * @function sendEmailVerification
+ * @description Send an email address verification link to a new user. The link opens the web interface, which
+ * confirms the address through "POST /users/verify": a mail client opening the link can't use the code up.
+ *
+ * @param {string} targetEmail - The new user email address
+ * @param {string} code - The verification code
+ * @param {Number} lifetime - How many minutes the code stays valid
+ *
+ * @example
+ * 	Mail.sendEmailVerification("rick.astley@nggyu.co.uk", "UkZaV1BaWDByTjZvUlkwWWhCdUFoajBJUWowdng3VFE1WU9uM3hxZXUvVWRoVlIybTB4R2NHSXUzWnJRVm9pVA", 2880)
+ */
+function sendEmailVerification(targetEmail, code, lifetime) {
+	const link = `${app.webUrl}/verify/${code}`;
+	const hours = Math.round(lifetime / 60);
+
+	const mailContent = {
+		from: email.address,
+		to: targetEmail,
+		subject: "The Good Fork - Vérifiez votre adresse e-mail",
+		text: `Bienvenue chez The Good Fork ! Pour activer votre compte, veuillez vérifier votre adresse e-mail en ouvrant le lien suivant :\n
+		${link}\n
+		Ce lien expire dans ${hours} heures.`,
+		html: `<p>Bienvenue chez The Good Fork ! Pour activer votre compte, veuillez vérifier votre adresse e-mail en cliquant sur le lien suivant :</p>
+		<p><a href="${link}">Vérifier mon adresse e-mail</a></p>
+		<p>Ce lien expire dans ${hours} heures.</p>`
+	};
+
+	return transporter.sendMail(mailContent);
+}
+
+/**
+ * @function sendWaitlistOffer
+ * @description Offer a freed slot to a user of the waitlist
+ *
+ * @param {string} targetEmail - The user email address
+ * @param {string} code - The confirmation code
+ * @param {Date} time - When the offered sitting starts
+ * @param {Number} clientsNb - How many clients will be present
+ * @param {Number} lifetime - How many minutes the offer stays valid
+ *
+ * @example
+ * 	Mail.sendWaitlistOffer("rick.astley@nggyu.co.uk", "UkZaV1BaWDByTjZvUlkwWWhCdUFoajBJUWowdng3VFE1WU9uM3hxZXUvVWRoVlIybTB4R2NHSXUzWnJRVm9pVA", new Date(), 4, 30)
+ */
+function sendWaitlistOffer(targetEmail, code, time, clientsNb, lifetime) {
+	const link = `${app.webUrl}/waitlist/${code}`;
+	const date = formatTime(time);
+
+	const mailContent = {
+		from: email.address,
+		to: targetEmail,
+		subject: "The Good Fork - Une table s'est libérée !",
+		text: `Une table pour ${clientsNb} personnes s'est libérée le ${date}. Pour la réserver, ouvrez le lien suivant :\n
+		${link}\n
+		Cette proposition expire dans ${lifetime} minutes.`,
+		html: `<p>Une table pour ${clientsNb} personnes s'est libérée le ${date}. Pour la réserver, cliquez sur le lien suivant :</p>
+		<p><a href="${link}">Réserver cette table</a></p>
+		<p>Cette proposition expire dans ${lifetime} minutes.</p>`
+	};
+
+	return transporter.sendMail(mailContent);
+}
+
+/**
+ * @function sendBookingCreated
+ * @description Confirm a new booking to its user
+ *
+ * @param {FullBooking} booking - The booking
+ *
+ * @example
+ * 	Mail.sendBookingCreated(<FullBooking>)
+ */
+function sendBookingCreated(booking) {
+	return transporter.sendMail(getBookingMail(booking, "Réservation confirmée", "Votre réservation est confirmée, à bientôt !"));
+}
+
+/**
+ * @function sendBookingUpdated
+ * @description Tell a user that his booking has been modified
+ *
+ * @param {FullBooking} booking - The booking, once modified
+ *
+ * @example
+ * 	Mail.sendBookingUpdated(<FullBooking>)
+ */
+function sendBookingUpdated(booking) {
+	return transporter.sendMail(getBookingMail(booking, "Réservation modifiée", "Votre réservation a été modifiée."));
+}
+
+/**
+ * @function sendBookingCancelled
+ * @description Tell a user that his booking has been cancelled
+ *
+ * @param {FullBooking} booking - The booking
+ *
+ * @example
+ * 	Mail.sendBookingCancelled(<FullBooking>)
+ */
+function sendBookingCancelled(booking) {
+	return transporter.sendMail(getBookingMail(booking, "Réservation annulée", "Votre réservation a été annulée.", false));
+}
+
+/**
+ * @function sendBookingReminder
+ * @description Remind a user that his booking will start soon
+ *
+ * @param {FullBooking} booking - The booking
+ *
+ * @example
+ * 	Mail.sendBookingReminder(<FullBooking>)
+ */
+function sendBookingReminder(booking) {
+	return transporter.sendMail(getBookingMail(booking, "Rappel de votre réservation", "Nous vous attendons bientôt !"));
+}
+
 /* ---- Export ---------------------------------- */
-const Mail = { sendPassword };
+const Mail = {
+	sendInvitation,
+	sendPasswordReset,
+	sendEmailVerification,
+	sendWaitlistOffer,
+	sendBookingCreated,
+	sendBookingUpdated,
+	sendBookingCancelled,
+	sendBookingReminder
+};
 export default Mail;
\ No newline at end of file
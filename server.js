@@ -6,6 +6,9 @@ import bodyParser from "body-parser";
 import cors from "cors";
 import config from "./config/config.js";
 import routes from "./api/index.js";
+import startJobs from "./api/jobs.js";
+import startNotifications from "./api/notifications.js";
+import Events from "./global/Events.js";
 
 /**
  * @async
@@ -65,6 +68,13 @@ async function startServer() {
 			console.error(err);
 			process.exit(1);
 		});
+
+	// Report what failed in the background
+	Events.on("failure", (source, err) => console.error(`${source} failed:`, err));
+
+	// Start background tasks
+	startNotifications();
+	startJobs();
 }
 
 /**
@@ -0,0 +1,70 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import config from "../config/config.js";
+import Calendar from "../global/Calendar.js";
+
+const booking = {
+	booking_id: 12,
+	time: new Date("2021-06-03T18:00:00.000Z"),
+	clients_nb: 4,
+	is_cancelled: 0,
+	user: { first_name: "Rick", last_name: "Astley" },
+	tables: [{ name: "Terrasse 1" }, { name: "Terrasse 2" }]
+};
+
+/**
+ * @ignore
+ * @function unfold
+ * @description Join the folded lines of an iCalendar object and split it into its content lines
+ *
+ * @param {string} calendar - The iCalendar object
+ * @returns {Array<string>}
+ */
+const unfold = calendar => calendar.replace(/\r\n /g, "").split("\r\n").slice(0, -1);
+
+describe("Calendar.getCalendar", () => {
+	it("holds one event per booking, lasting one sitting", () => {
+		const lines = unfold(Calendar.getCalendar([booking, { ...booking, booking_id: 13 }], "Réservations"));
+		const end = new Date(booking.time.getTime() + config.app.bookings.sittingDuration * 60000);
+
+		assert.equal(lines[0], "BEGIN:VCALENDAR");
+		assert.equal(lines[lines.length - 1], "END:VCALENDAR");
+		assert.equal(lines.filter(line => line === "BEGIN:VEVENT").length, 2);
+		assert.ok(lines.includes("DTSTART:20210603T180000Z"));
+		assert.ok(lines.includes(`DTEND:${end.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "")}`));
+		assert.ok(lines.some(line => /^UID:booking-13@/.test(line)));
+	});
+
+	it("ends every line with CRLF", () => {
+		const calendar = Calendar.getCalendar([booking], "Réservations");
+
+		assert.ok(calendar.endsWith("END:VCALENDAR\r\n"));
+		assert.equal(calendar.replace(/\r\n/g, "").includes("\n"), false);
+	});
+
+	it("escapes the special characters of the texts", () => {
+		const lines = unfold(Calendar.getCalendar([booking], "Salle; terrasse, bar\\cave\nétage"));
+
+		assert.ok(lines.includes("X-WR-CALNAME:Salle\\; terrasse\\, bar\\\\cave\\nétage"));
+		assert.ok(lines.includes("DESCRIPTION:Réservation de Rick Astley\\nTable : Terrasse 1\\, Terrasse 2"));
+	});
+
+	it("folds the lines longer than 75 octets without splitting a character", () => {
+		const name = "Réservations de la grande salle à l’étage, côté fenêtres et près du piano à queue";
+		const calendar = Calendar.getCalendar([booking], name);
+		const encoder = new TextEncoder();
+
+		for (const line of calendar.split("\r\n")) {
+			assert.ok(encoder.encode(line).length <= 75, line);
+			assert.equal(line.includes("�"), false);
+		}
+
+		assert.ok(unfold(calendar).includes(`X-WR-CALNAME:${name.replace(/,/g, "\\,")}`));
+		assert.ok(calendar.includes("\r\n "));
+	});
+
+	it("describes a walk-in without a customer name", () => {
+		const lines = unfold(Calendar.getCalendar([{ ...booking, user: null, tables: [] }], "Réservations"));
+		assert.ok(lines.includes("DESCRIPTION:Clients sans réservation"));
+	});
+});
\ No newline at end of file
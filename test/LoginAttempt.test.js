@@ -0,0 +1,31 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import config from "../config/config.js";
+import LoginAttempt from "../api/models/LoginAttempt.js";
+
+const { delayStep, maxDelay, maxAttemptsPerIp, attemptsWindow } = config.app.security.login;
+
+describe("LoginAttempt.getRetryAfter", () => {
+	it("lets a first attempt through", () => {
+		assert.equal(LoginAttempt.getRetryAfter({ email: 0, ip: 0, elapsed: 0 }), 0);
+	});
+
+	it("waits for the rest of the delay of the last failure, rounded up to the second", () => {
+		const failures = { email: 3, ip: 1, elapsed: 200 };
+		const expected = Math.ceil((Math.min(3 * delayStep, maxDelay) - 200) / 1000);
+
+		assert.equal(LoginAttempt.getRetryAfter(failures), expected);
+	});
+
+	it("lets an attempt through once the delay is over", () => {
+		assert.equal(LoginAttempt.getRetryAfter({ email: 3, ip: 3, elapsed: maxDelay }), 0);
+	});
+
+	it("never waits longer than the maximum delay", () => {
+		assert.equal(LoginAttempt.getRetryAfter({ email: 1000, ip: 0, elapsed: 0 }), Math.ceil(maxDelay / 1000));
+	});
+
+	it("makes an IP address which failed too often wait for the end of the attempts window", () => {
+		assert.equal(LoginAttempt.getRetryAfter({ email: 0, ip: maxAttemptsPerIp, elapsed: maxDelay }), attemptsWindow * 60);
+	});
+});
\ No newline at end of file
@@ -0,0 +1,59 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import OrderMenus from "../api/models/OrderMenus.js";
+import ModelError from "../global/ModelError.js";
+
+const menu = {
+	menu_id: 4,
+	name: "Burger",
+	price: 12,
+	modifiers: [
+		{ modifier_id: 1, name: "Saignant", group_name: "Cuisson", price: 0 },
+		{ modifier_id: 2, name: "Bien cuit", group_name: "Cuisson", price: 0 },
+		{ modifier_id: 3, name: "Cheddar", group_name: null, price: 1.5 },
+		{ modifier_id: 4, name: "Bacon", group_name: null, price: 2 }
+	]
+};
+
+describe("OrderMenus.getOrderLine", () => {
+	it("orders one menu at its price by default", () => {
+		const line = OrderMenus.getOrderLine(menu, {});
+
+		assert.equal(line.quantity, 1);
+		assert.equal(line.price, 12);
+		assert.deepEqual(line.chosen_modifiers, []);
+		assert.equal(line.note, null);
+	});
+
+	it("adds the price of the modifiers to the price of one menu, whatever the quantity", () => {
+		const line = OrderMenus.getOrderLine(menu, { quantity: 3, modifiers: [1, 3, "4"] });
+
+		assert.equal(line.quantity, 3);
+		assert.equal(line.price, 15.5);
+		assert.deepEqual(line.chosen_modifiers.map(modifier => modifier.modifier_id), [1, 3, 4]);
+	});
+
+	it("only lets one modifier of each group be chosen", () => {
+		const line = OrderMenus.getOrderLine(menu, { modifiers: [1, 2] });
+
+		assert.ok(line instanceof ModelError);
+		assert.equal(line.code(), 400);
+	});
+
+	it("refuses a modifier twice or a modifier of another menu", () => {
+		assert.ok(OrderMenus.getOrderLine(menu, { modifiers: [3, "3"] }) instanceof ModelError);
+		assert.ok(OrderMenus.getOrderLine(menu, { modifiers: [5] }) instanceof ModelError);
+	});
+
+	it("refuses a quantity which is not a positive integer", () => {
+		for (const quantity of [0, -1, 1.5, "2"]) {
+			assert.ok(OrderMenus.getOrderLine(menu, { quantity }) instanceof ModelError, `${quantity}`);
+		}
+	});
+
+	it("keeps the note for the kitchen, trimmed", () => {
+		assert.equal(OrderMenus.getOrderLine(menu, { note: "  Sans oignons " }).note, "Sans oignons");
+		assert.equal(OrderMenus.getOrderLine(menu, { note: "   " }).note, null);
+		assert.ok(OrderMenus.getOrderLine(menu, { note: "a".repeat(256) }) instanceof ModelError);
+	});
+});
\ No newline at end of file
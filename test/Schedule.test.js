@@ -0,0 +1,85 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import Schedule from "../api/models/Schedule.js";
+
+// Thursday 2021-06-03 has a lunch and a dinner which ends after midnight, Friday has a lunch
+const services = [
+	{ service_id: 1, day_of_week: 4, name: "lunch", start_time: "12:00:00", end_time: "14:30:00" },
+	{ service_id: 2, day_of_week: 4, name: "dinner", start_time: "19:00:00", end_time: "01:00:00" },
+	{ service_id: 3, day_of_week: 5, name: "lunch", start_time: "12:00:00", end_time: "14:30:00" }
+];
+
+/**
+ * @ignore
+ * @function getDatabase
+ * @description Get a fake database connection which answers the queries of the schedule
+ *
+ * @param {Array<string>} [closedDays=[]] - Days when the restaurant is closed ("YYYY-MM-DD")
+ * @returns {{query: function(string, Array<*>): Promise<*>}}
+ */
+const getDatabase = (closedDays = []) => ({
+	query: async (sql, params) => {
+		if (sql.includes("FROM closures")) {
+			return closedDays.includes(params[0]) ? [{ closure_id: 1 }] : [];
+		}
+
+		if (sql.includes("day_of_week IN")) {
+			return services.filter(service => params[0].includes(service.day_of_week) && service.service_id !== params[1]);
+		}
+
+		if (sql.includes("name = ?")) {
+			return services.filter(service => service.day_of_week === params[0] && service.name === params[1]);
+		}
+
+		if (sql.includes("INSERT INTO services")) return { insertId: 4 };
+
+		return services.filter(service => service.day_of_week === params[0]);
+	}
+});
+
+describe("Schedule.getService", () => {
+	it("finds the service during which a sitting takes place", async () => {
+		const service = await Schedule.getService(getDatabase(), new Date(2021, 5, 3, 12, 30), 120);
+
+		assert.equal(service.service_id, 1);
+		assert.equal(service.day, "2021-06-03");
+	});
+
+	it("refuses a sitting which ends after its service", async () => {
+		assert.equal(await Schedule.getService(getDatabase(), new Date(2021, 5, 3, 13, 30), 120), null);
+	});
+
+	it("finds a service which started the day before and ends after midnight", async () => {
+		const service = await Schedule.getService(getDatabase(), new Date(2021, 5, 4, 0, 15), 30);
+
+		assert.equal(service.service_id, 2);
+		assert.equal(service.day, "2021-06-03");
+		assert.deepEqual(service.end, new Date(2021, 5, 4, 1, 0));
+	});
+
+	it("accepts a sitting which crosses midnight until the end of the service", async () => {
+		const service = await Schedule.getService(getDatabase(), new Date(2021, 5, 3, 23, 0), 120);
+		assert.equal(service.service_id, 2);
+	});
+
+	it("refuses a sitting after the end of a service which ended after midnight", async () => {
+		assert.equal(await Schedule.getService(getDatabase(), new Date(2021, 5, 4, 1, 30)), null);
+	});
+
+	it("finds nothing when the restaurant is closed the day the service starts", async () => {
+		const db = getDatabase(["2021-06-03"]);
+		assert.equal(await Schedule.getService(db, new Date(2021, 5, 4, 0, 15)), null);
+	});
+});
+
+describe("Schedule.addService", () => {
+	it("refuses a service which starts before the end of the service of the day before", async () => {
+		const result = await Schedule.addService(getDatabase(), 5, "dinner", "00:30", "03:00");
+		assert.equal(result.code(), 409);
+	});
+
+	it("accepts a service which starts once the service of the day before is over", async () => {
+		const result = await Schedule.addService(getDatabase(), 5, "dinner", "19:00", "23:00");
+		assert.deepEqual(result, { service_id: 4 });
+	});
+});
\ No newline at end of file
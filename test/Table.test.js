@@ -0,0 +1,81 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import config from "../config/config.js";
+import Table from "../api/models/Table.js";
+
+/**
+ * @ignore
+ * @function getTables
+ * @description Get tables with the given capacities, their IDs starting at 1
+ *
+ * @param {...Number} capacities - Capacity of each table
+ * @returns {Array<{table_id: Number, capacity: Number}>}
+ */
+const getTables = (...capacities) => capacities.map((capacity, index) => ({ table_id: index + 1, capacity }));
+
+/**
+ * @ignore
+ * @function getJoins
+ * @description Get the joins between tables, in both directions like Table.getAllJoins
+ *
+ * @param {...Array<Number>} pairs - IDs of two joinable tables
+ * @returns {Map<Number, Array<Number>>}
+ */
+const getJoins = (...pairs) => {
+	const joins = new Map();
+	const addJoin = (table_id, joinable_table_id) => joins.set(table_id, [...joins.get(table_id) || [], joinable_table_id]);
+
+	for (const [table_id, joinable_table_id] of pairs) {
+		addJoin(table_id, joinable_table_id);
+		addJoin(joinable_table_id, table_id);
+	}
+
+	return joins;
+};
+
+const getIds = tables => tables.map(table => table.table_id);
+
+describe("Table.findCombination", () => {
+	it("prefers the smallest single table big enough", () => {
+		const tables = getTables(8, 4, 6, 2);
+		assert.deepEqual(getIds(Table.findCombination(tables, getJoins([2, 4]), 4)), [2]);
+	});
+
+	it("joins tables when none is big enough, the biggest first", () => {
+		const tables = getTables(4, 6, 2);
+		assert.deepEqual(getIds(Table.findCombination(tables, getJoins([1, 2], [2, 3]), 8)), [2, 3]);
+	});
+
+	it("only joins tables which are joinable one to another", () => {
+		const tables = getTables(4, 4, 4);
+		assert.equal(Table.findCombination(tables, getJoins([1, 2]), 10), null);
+	});
+
+	it("goes through a chain of joinable tables", () => {
+		const tables = getTables(4, 4, 4);
+		assert.deepEqual(getIds(Table.findCombination(tables, getJoins([1, 2], [2, 3]), 10)).sort(), [1, 2, 3]);
+	});
+
+	it("wastes the fewest seats, then uses the fewest tables", () => {
+		const tables = getTables(6, 4, 2, 2, 2);
+		const joins = getJoins([1, 2], [2, 3], [3, 4], [4, 5]);
+
+		// 4 + 2 + 2 + 2 seats ten clients too but with four tables, while 6 + 4 wastes three seats for seven clients
+		assert.deepEqual(getIds(Table.findCombination(tables, joins, 10)), [1, 2]);
+		assert.deepEqual(getIds(Table.findCombination(tables, joins, 7)).sort(), [2, 3, 4]);
+	});
+
+	it("ignores the joins with tables which are not free", () => {
+		const tables = getTables(4, 4).slice(0, 1);
+		assert.equal(Table.findCombination(tables, getJoins([1, 2]), 8), null);
+	});
+
+	it("never joins more tables than allowed", () => {
+		const { maxJoinedTables } = config.app.bookings;
+		const tables = getTables(...Array(maxJoinedTables + 1).fill(2));
+		const joins = getJoins(...tables.slice(1).map(table => [table.table_id - 1, table.table_id]));
+
+		assert.equal(Table.findCombination(tables, joins, 2 * maxJoinedTables + 1), null);
+		assert.equal(Table.findCombination(tables, joins, 2 * maxJoinedTables).length, maxJoinedTables);
+	});
+});
\ No newline at end of file